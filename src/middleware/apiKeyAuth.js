@@ -1,11 +1,389 @@
+import mongoose from "mongoose";
+import ApiKey from "../models/ApiKey.js";
+import RequestNonce from "../models/RequestNonce.js";
+import { getApiKeyType, hashApiKey } from "../utils/apiKeyGenerator.js";
+import { getEnvInt } from "../utils/env.js";
+import { isIpAllowed } from "../utils/ipAllowlist.js";
+import { getRequestOrigin, isOriginAllowed } from "../utils/origins.js";
+import { hasScope } from "../utils/scopes.js";
+import { getCachedProject } from "../utils/projectCache.js";
+import { recordKeySighting } from "../utils/leakDetection.js";
+import {
+  SIGNATURE_CLOCK_SKEW_SECONDS,
+  buildStringToSign,
+  computeSignature,
+  deriveSigningSecret,
+  hashRequestBody,
+  isTimestampFresh,
+  isValidNonce,
+  signaturesMatch,
+} from "../utils/requestSigning.js";
+
+// Verified keys are cached in-process so we don't hit MongoDB on every call.
+// Other instances only notice a key was deactivated or revoked once their
+// entry expires, so this is also how long such a key can keep working there.
+export const getApiKeyCacheTtl = () =>
+  getEnvInt("API_KEY_CACHE_TTL_MS", 10 * 1000, { min: 0 });
+// Only persist lastUsed when it is older than this, to avoid a write per request
+const LAST_USED_UPDATE_INTERVAL = 60 * 1000; // 1 minute
+
+const apiKeyCache = new Map();
+
+/**
+ * Check whether a key document can be used for a project
+ * Expired keys are deactivated so they also show as inactive on the dashboard
+ * @param {object|null} keyDoc - The API key document
+ * @param {string} projectId - The project ID from the request
+ * @returns {string|null} The reason the key was rejected, or null if it can be used
+ */
+const checkApiKey = (keyDoc, projectId) => {
+  if (!keyDoc || keyDoc.projectId.toString() !== projectId) {
+    return "invalid";
+  }
+
+  if (keyDoc.isExpired()) {
+    if (keyDoc.isActive) {
+      ApiKey.updateOne({ _id: keyDoc._id }, { isActive: false }).catch(
+        (err) => {
+          console.error("API key expiry deactivation error:", err);
+        }
+      );
+    }
+    return "expired";
+  }
+
+  if (!keyDoc.isActive) {
+    return "inactive";
+  }
+
+  return null;
+};
+
+/**
+ * Cache a verified key document
+ * @param {string} cacheKey - The cache key
+ * @param {object} keyDoc - The API key document
+ * @param {boolean} isPreviousKey - Whether the rotated-out secret was used
+ */
+const cacheApiKey = (cacheKey, keyDoc, isPreviousKey) => {
+  // A rotated-out secret must not outlive its grace period in the cache...
+  let expiresAt = Date.now() + getApiKeyCacheTtl();
+  if (isPreviousKey) {
+    expiresAt = Math.min(expiresAt, keyDoc.previousKeyExpiresAt.getTime());
+  }
+  // ...and an expiring key must not outlive its expiry
+  if (keyDoc.expiresAt) {
+    expiresAt = Math.min(expiresAt, keyDoc.expiresAt.getTime());
+  }
+
+  apiKeyCache.set(cacheKey, { apiKey: keyDoc, isPreviousKey, expiresAt });
+};
+
+/**
+ * Look up an active API key document for a project
+ * @param {string} apiKey - The raw API key from the request
+ * @param {string} projectId - The project ID from the request
+ * @returns {Promise<{apiKey: object|null, reason: string|null, isPreviousKey: boolean}>} The key document (and whether the rotated-out secret was used), and the reason it was rejected if it can't be used
+ */
+const findApiKey = async (apiKey, projectId) => {
+  // Cache by digest so raw keys are not held in memory
+  const keyHash = hashApiKey(apiKey);
+  const cacheKey = `${projectId}:${keyHash}`;
+  const cached = apiKeyCache.get(cacheKey);
+
+  if (cached && cached.expiresAt > Date.now()) {
+    return {
+      apiKey: cached.apiKey,
+      reason: null,
+      isPreviousKey: cached.isPreviousKey,
+    };
+  }
+  apiKeyCache.delete(cacheKey);
+
+  const keyDoc = await ApiKey.findByKey(apiKey);
+  const reason = checkApiKey(keyDoc, projectId);
+
+  // Expired and inactive keys are returned too, so rejections can be logged against them
+  if (reason) {
+    return {
+      apiKey: reason === "invalid" ? null : keyDoc,
+      reason,
+      isPreviousKey: false,
+    };
+  }
+
+  const isPreviousKey = keyDoc.previousKeyHash === keyHash;
+  cacheApiKey(cacheKey, keyDoc, isPreviousKey);
+
+  return { apiKey: keyDoc, reason: null, isPreviousKey };
+};
+
+/**
+ * Look up an active API key document by its ID (for signed requests)
+ * @param {string} keyId - The API key document ID from x-key-id
+ * @param {string} projectId - The project ID from the request
+ * @returns {Promise<{apiKey: object|null, reason: string|null}>} The key document, and the reason it was rejected if it can't be used
+ */
+const findApiKeyById = async (keyId, projectId) => {
+  const cacheKey = `${projectId}:id:${keyId}`;
+  const cached = apiKeyCache.get(cacheKey);
+
+  if (cached && cached.expiresAt > Date.now()) {
+    return { apiKey: cached.apiKey, reason: null };
+  }
+  apiKeyCache.delete(cacheKey);
+
+  const keyDoc = await ApiKey.findById(keyId);
+  const reason = checkApiKey(keyDoc, projectId);
+
+  if (reason) {
+    return { apiKey: reason === "invalid" ? null : keyDoc, reason };
+  }
+
+  cacheApiKey(cacheKey, keyDoc, false);
+
+  return { apiKey: keyDoc, reason: null };
+};
+
+/**
+ * Verify an HMAC-signed request (x-key-id, x-timestamp, x-nonce, x-signature)
+ * The key itself never travels with the request; it is signed with the key's
+ * signing secret, which is issued alongside the key and can't be derived from
+ * the stored key digests alone.
+ * @param {object} req - The Express request
+ * @param {string} projectId - The project ID from the request
+ * @returns {Promise<{apiKey?: object, reason?: string, isPreviousKey?: boolean, failure?: object}>} The verified key, a lookup rejection reason, or a signature failure response
+ */
+const verifySignedRequest = async (req, projectId) => {
+  const keyId = req.headers["x-key-id"];
+  const timestamp = req.headers["x-timestamp"];
+  const nonce = req.headers["x-nonce"];
+  const signature = req.headers["x-signature"];
+
+  if (!mongoose.isValidObjectId(keyId) || !timestamp || !nonce) {
+    return {
+      failure: {
+        error: "Incomplete request signature",
+        code: "signature_invalid",
+        message:
+          "Signed requests require x-key-id, x-timestamp, x-nonce and x-signature headers",
+      },
+    };
+  }
+
+  if (!isTimestampFresh(timestamp)) {
+    return {
+      failure: {
+        error: "Request timestamp out of range",
+        code: "signature_expired",
+        message: `x-timestamp must be within ${SIGNATURE_CLOCK_SKEW_SECONDS} seconds of server time`,
+      },
+    };
+  }
+
+  if (!isValidNonce(nonce)) {
+    return {
+      failure: {
+        error: "Invalid request nonce",
+        code: "signature_invalid",
+        message: "x-nonce must be 16-128 characters of A-Z, a-z, 0-9, _ or -",
+      },
+    };
+  }
+
+  const { apiKey: keyDoc, reason } = await findApiKeyById(keyId, projectId);
+  if (reason) {
+    return { apiKey: keyDoc, reason };
+  }
+
+  const stringToSign = buildStringToSign({
+    timestamp,
+    nonce,
+    method: req.method,
+    path: req.originalUrl,
+    bodyHash: hashRequestBody(req.rawBody),
+  });
+
+  // The rotated-out secret can still sign requests during its grace period
+  let isPreviousKey = false;
+  const matches = (keyHash) =>
+    signaturesMatch(
+      computeSignature(deriveSigningSecret(keyHash), stringToSign),
+      signature
+    );
+  if (!matches(keyDoc.keyHash)) {
+    isPreviousKey =
+      !!keyDoc.previousKeyHash &&
+      keyDoc.previousKeyExpiresAt > new Date() &&
+      matches(keyDoc.previousKeyHash);
+
+    if (!isPreviousKey) {
+      return {
+        apiKey: keyDoc,
+        failure: {
+          error: "Invalid request signature",
+          code: "signature_invalid",
+          message: "The request signature does not match",
+        },
+      };
+    }
+  }
+
+  // Each nonce can only be used once within the clock-skew window
+  try {
+    await RequestNonce.create({
+      apiKeyId: keyDoc._id,
+      nonce,
+      expiresAt: new Date(Date.now() + 2 * SIGNATURE_CLOCK_SKEW_SECONDS * 1000),
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return {
+        apiKey: keyDoc,
+        failure: {
+          error: "Replayed request",
+          code: "signature_replayed",
+          message: "This x-nonce has already been used",
+        },
+      };
+    }
+    throw error;
+  }
+
+  return { apiKey: keyDoc, isPreviousKey };
+};
+
+// Responses for keys that were found but can't be used
+const sendKeyRejection = (res, reason) => {
+  if (reason === "expired") {
+    return res.status(401).json({
+      error: "API key expired",
+      code: "api_key_expired",
+      message: "The provided API key has expired. Generate a new key.",
+    });
+  }
+
+  if (reason === "inactive") {
+    return res.status(401).json({
+      error: "Invalid or inactive API key",
+      code: "api_key_inactive",
+      message: "The provided API key has been deactivated",
+    });
+  }
+
+  return res.status(401).json({
+    error: "Invalid or inactive API key",
+    code: "api_key_invalid",
+    message: "The provided API key is not valid for this project",
+  });
+};
+
+/**
+ * Check the restrictions on where and how a key can be used: the project's
+ * signed-request requirement, the key's IP allowlist and its origin lock
+ * @param {object} req - The Express request
+ * @param {object} keyDoc - The API key document
+ * @param {boolean} isSigned - Whether the request was HMAC-signed
+ * @returns {Promise<{status: number, body: object}|null>} The rejection response, or null if the key can be used
+ */
+export const checkKeyRestrictions = async (req, keyDoc, isSigned) => {
+  // Projects can require secret keys to sign every request
+  if (!isSigned && keyDoc.type === "secret") {
+    const project = await getCachedProject(keyDoc.projectId);
+    if (project?.requireSignedRequests) {
+      return {
+        status: 401,
+        body: {
+          error: "Signed request required",
+          code: "signature_required",
+          message: "This project requires signed requests for secret keys",
+        },
+      };
+    }
+  }
+
+  // Enforce the key's IP allowlist (req.ip honours the app's trust proxy setting)
+  if (!isIpAllowed(req.ip, keyDoc.allowedIps)) {
+    return {
+      status: 403,
+      body: {
+        error: "IP address not allowed",
+        code: "ip_not_allowed",
+        message: `IP address ${req.ip} is not in the API key allowlist`,
+      },
+    };
+  }
+
+  // Enforce the key's origin lock (browser Origin, falling back to Referer)
+  if (keyDoc.allowedOrigins.length > 0) {
+    const origin = getRequestOrigin(req);
+    if (!isOriginAllowed(origin, keyDoc.allowedOrigins)) {
+      return {
+        status: 403,
+        body: {
+          error: "Origin not allowed",
+          code: "origin_not_allowed",
+          message: origin
+            ? `Origin ${origin} is not allowed for this API key`
+            : "This API key can only be used from an allowed origin",
+        },
+      };
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Record that a key was used, at most once per LAST_USED_UPDATE_INTERVAL
+ * @param {object} keyDoc - The API key document
+ */
+const touchLastUsed = (keyDoc) => {
+  const now = new Date();
+  if (keyDoc.lastUsed && now - keyDoc.lastUsed < LAST_USED_UPDATE_INTERVAL) {
+    return;
+  }
+
+  keyDoc.lastUsed = now;
+  ApiKey.updateOne({ _id: keyDoc._id }, { lastUsed: now }).catch((err) => {
+    console.error("API key lastUsed update error:", err);
+  });
+};
+
+/**
+ * Drop cached entries for an API key so changes take effect immediately
+ * @param {string} keyId - The API key document ID
+ */
+export const invalidateApiKeyCache = (keyId) => {
+  for (const [cacheKey, entry] of apiKeyCache) {
+    if (entry.apiKey._id.toString() === keyId.toString()) {
+      apiKeyCache.delete(cacheKey);
+    }
+  }
+};
+
+/**
+ * Drop cached entries for every key of a project
+ * @param {string} projectId - The project ID
+ */
+export const invalidateProjectApiKeyCache = (projectId) => {
+  for (const [cacheKey, entry] of apiKeyCache) {
+    if (entry.apiKey.projectId.toString() === projectId.toString()) {
+      apiKeyCache.delete(cacheKey);
+    }
+  }
+};
+
 // API Key validation middleware - No auth required, just API key + Project ID
+// (or an HMAC-signed request with x-key-id instead of the raw key)
 export const validateApiKey = async (req, res, next) => {
   try {
     const apiKey = req.headers["x-api-key"];
     const projectId = req.headers["x-project-id"];
+    const isSigned = !!req.headers["x-signature"];
 
     // Check if both API key and Project ID are provided
-    if (!apiKey) {
+    if (!apiKey && !isSigned) {
       return res.status(401).json({
         error: "API key required",
         message: "Please provide x-api-key header",
@@ -20,10 +398,11 @@ export const validateApiKey = async (req, res, next) => {
     }
 
     // Validate API key format (basic validation)
-    if (!apiKey.startsWith("pk_live_") && !apiKey.startsWith("pk_test_")) {
+    if (!isSigned && !getApiKeyType(apiKey)) {
       return res.status(401).json({
         error: "Invalid API key format",
-        message: "API key must start with pk_live_ or pk_test_",
+        message:
+          "API key must start with pk_live_, pk_test_, sk_live_ or sk_test_",
       });
     }
 
@@ -35,9 +414,60 @@ export const validateApiKey = async (req, res, next) => {
       });
     }
 
+    // Verify the key (or request signature) against the database
+    let keyDoc;
+    let rejection;
+    let isPreviousKey;
+
+    if (isSigned) {
+      const result = await verifySignedRequest(req, projectId);
+      if (result.failure) {
+        req.identifiedApiKey = result.apiKey;
+        return res.status(401).json(result.failure);
+      }
+      ({ apiKey: keyDoc, reason: rejection, isPreviousKey } = result);
+    } else {
+      ({
+        apiKey: keyDoc,
+        reason: rejection,
+        isPreviousKey,
+      } = await findApiKey(apiKey, projectId));
+    }
+
+    // Lets trackUsage log rejected requests against the key
+    req.identifiedApiKey = keyDoc;
+
+    if (rejection || !keyDoc) {
+      return sendKeyRejection(res, rejection);
+    }
+
+    const restriction = await checkKeyRestrictions(req, keyDoc, isSigned);
+    if (restriction) {
+      return res.status(restriction.status).json(restriction.body);
+    }
+
+    // The rotated-out secret still works during its grace period, but
+    // clients are told to switch to the new one
+    if (isPreviousKey) {
+      res.set({
+        Deprecation: "true",
+        Sunset: keyDoc.previousKeyExpiresAt.toUTCString(),
+        "X-API-Key-Warning":
+          "This API key has been rotated. Switch to the new key before the Sunset date.",
+      });
+    }
+
+    touchLastUsed(keyDoc);
+    recordKeySighting(keyDoc, req.ip).catch((err) => {
+      console.error("API key leak detection error:", err);
+    });
+
     // Store in request for use in routes
-    req.apiKey = apiKey;
+    req.apiKey = keyDoc;
     req.projectId = projectId;
+    req.mode = keyDoc.mode;
+    req.keyType = keyDoc.type;
+    req.isSignedRequest = isSigned;
 
     next();
   } catch (error) {
@@ -57,10 +487,18 @@ export const optionalApiKey = async (req, res, next) => {
 
     if (apiKey && projectId) {
       // Basic validation
-      if (apiKey.startsWith("pk_live_") || apiKey.startsWith("pk_test_")) {
+      if (getApiKeyType(apiKey)) {
         if (projectId.match(/^[a-f0-9]{24}$/)) {
-          req.apiKey = apiKey;
-          req.projectId = projectId;
+          const { apiKey: keyDoc, reason } = await findApiKey(
+            apiKey,
+            projectId
+          );
+          if (keyDoc && !reason) {
+            req.apiKey = keyDoc;
+            req.projectId = projectId;
+            req.mode = keyDoc.mode;
+            req.keyType = keyDoc.type;
+          }
         }
       }
     }
@@ -71,3 +509,63 @@ export const optionalApiKey = async (req, res, next) => {
     next();
   }
 };
+
+// Secret key middleware for privileged operations (use after validateApiKey)
+export const requireSecretKey = (req, res, next) => {
+  if (!req.apiKey) {
+    return res.status(401).json({
+      error: "API key required",
+      message: "Please provide x-api-key header",
+    });
+  }
+
+  if (req.apiKey.type !== "secret") {
+    return res.status(403).json({
+      error: "Secret key required",
+      code: "secret_key_required",
+      message:
+        "This operation requires a secret key (sk_live_ or sk_test_). Publishable keys are limited to client-safe operations.",
+    });
+  }
+
+  next();
+};
+
+// Scope-based authorization middleware (use after validateApiKey)
+export const requireScope = (...requiredScopes) => {
+  return (req, res, next) => {
+    try {
+      if (!req.apiKey) {
+        return res.status(401).json({
+          error: "API key required",
+          message: "Please provide x-api-key header",
+        });
+      }
+
+      const current = req.apiKey.scopes || [];
+      const missing = requiredScopes.filter(
+        (scope) => !hasScope(current, scope)
+      );
+
+      if (missing.length > 0) {
+        return res.status(403).json({
+          error: "Insufficient permissions",
+          code: "insufficient_scope",
+          message: `This API key requires the following scopes: ${requiredScopes.join(
+            ", "
+          )}`,
+          required: requiredScopes,
+          missing,
+          current,
+        });
+      }
+
+      next();
+    } catch (error) {
+      return res.status(500).json({
+        error: "Permission check failed",
+        message: "Internal server error",
+      });
+    }
+  };
+};
@@ -1,8 +1,12 @@
+import crypto from "crypto";
 import jwt from "jsonwebtoken";
 import User from "../models/User.js";
 
 const JWT_SECRET = process.env.JWT_SECRET || "dev-secret-change";
 
+const STREAM_TOKEN_TYPE = "usage_stream";
+export const STREAM_TOKEN_EXPIRES_IN_SECONDS = 60;
+
 // Middleware to authenticate JWT tokens
 export const authenticateToken = async (req, res, next) => {
   try {
@@ -14,6 +18,11 @@ export const authenticateToken = async (req, res, next) => {
     }
 
     const decoded = jwt.verify(token, JWT_SECRET);
+    // Stream tokens only work for the usage stream (authenticateStreamToken)
+    if (decoded.type === STREAM_TOKEN_TYPE) {
+      return res.status(401).json({ error: "Invalid token" });
+    }
+
     const user = await User.findById(decoded.userId).select("-password");
 
     if (!user) {
@@ -37,6 +46,73 @@ export const authenticateToken = async (req, res, next) => {
   }
 };
 
+// Middleware for the live usage stream. Browsers' EventSource API can't set
+// headers, so besides the usual Authorization header it accepts a stream token
+// (see generateStreamToken) in the token query parameter. Stream tokens expire
+// after a minute and only open the stream of their project, so one leaked
+// through a logged URL is of little use.
+export const authenticateStreamToken = async (req, res, next) => {
+  if (req.headers["authorization"]) {
+    return authenticateToken(req, res, next);
+  }
+
+  try {
+    const token = req.query.token;
+    if (typeof token !== "string" || !token) {
+      return res.status(401).json({ error: "Access token required" });
+    }
+
+    const decoded = jwt.verify(token, JWT_SECRET);
+    if (
+      decoded.type !== STREAM_TOKEN_TYPE ||
+      decoded.projectId !== req.params.projectId
+    ) {
+      return res.status(401).json({ error: "Invalid token" });
+    }
+
+    const user = await User.findById(decoded.userId).select("-password");
+
+    if (!user) {
+      return res.status(401).json({ error: "Invalid token - user not found" });
+    }
+
+    if (!user.isActive) {
+      return res.status(401).json({ error: "Account is deactivated" });
+    }
+
+    req.user = user;
+    next();
+  } catch (error) {
+    if (error.name === "JsonWebTokenError") {
+      return res.status(401).json({ error: "Invalid token" });
+    }
+    if (error.name === "TokenExpiredError") {
+      return res.status(401).json({ error: "Token expired" });
+    }
+    return res.status(500).json({ error: "Token verification failed" });
+  }
+};
+
+// Middleware for operator-only endpoints (e.g. internal metrics). Requires
+// `Authorization: Bearer <METRICS_TOKEN>`; the endpoints are disabled unless
+// METRICS_TOKEN is set.
+export const authenticateMetricsToken = (req, res, next) => {
+  const expected = process.env.METRICS_TOKEN;
+  if (!expected) {
+    return res.status(404).json({ error: "Route not found" });
+  }
+
+  const authHeader = req.headers["authorization"];
+  const token = (authHeader && authHeader.split(" ")[1]) || "";
+  const expectedDigest = crypto.createHash("sha256").update(expected).digest();
+  const tokenDigest = crypto.createHash("sha256").update(token).digest();
+  if (!crypto.timingSafeEqual(expectedDigest, tokenDigest)) {
+    return res.status(401).json({ error: "Invalid metrics token" });
+  }
+
+  next();
+};
+
 // Middleware to optionally authenticate (for public endpoints that can benefit from user context)
 export const optionalAuth = async (req, res, next) => {
   try {
@@ -83,6 +159,15 @@ export const generateToken = (userId) => {
   });
 };
 
+// Generate a short-lived token that only opens a project's usage stream
+export const generateStreamToken = (userId, projectId) => {
+  return jwt.sign(
+    { userId, projectId: projectId.toString(), type: STREAM_TOKEN_TYPE },
+    JWT_SECRET,
+    { expiresIn: STREAM_TOKEN_EXPIRES_IN_SECONDS }
+  );
+};
+
 // Generate refresh token
 export const generateRefreshToken = (userId) => {
   return jwt.sign({ userId, type: "refresh" }, JWT_SECRET, {
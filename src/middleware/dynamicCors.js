@@ -0,0 +1,122 @@
+import cors from "cors";
+import mongoose from "mongoose";
+import Project from "../models/Project.js";
+import { isOriginAllowed, normalizeOrigin } from "../utils/origins.js";
+import { getCachedProject } from "../utils/projectCache.js";
+
+// Origins of our own dashboard - allowed on every route
+export const DASHBOARD_ORIGINS = [
+  "http://localhost:5173",
+  "http://localhost:3000",
+  "https://hexagon-eran.vercel.app",
+  "https://hexagon-steel.vercel.app",
+  "https://hexagon.vercel.app",
+];
+
+const baseCorsOptions = {
+  credentials: true,
+  methods: ["GET", "POST", "PUT", "DELETE", "PATCH", "OPTIONS"],
+  allowedHeaders: [
+    "Content-Type",
+    "Authorization",
+    "x-api-key",
+    "X-API-Key",
+    "x-project-id",
+    "X-Project-ID",
+    "x-key-id",
+    "x-timestamp",
+    "x-nonce",
+    "x-signature",
+  ],
+  // Let browser clients read rate limit and key deprecation headers
+  exposedHeaders: [
+    "X-RateLimit-Limit",
+    "X-RateLimit-Remaining",
+    "X-RateLimit-Reset",
+    "X-RateLimit-Quota-Limit",
+    "X-RateLimit-Quota-Remaining",
+    "X-RateLimit-Quota-Reset",
+    "Retry-After",
+    "Deprecation",
+    "Sunset",
+    "X-API-Key-Warning",
+  ],
+};
+
+// Preflight origin lookups are cached in-process so we don't hit MongoDB on every call
+const PREFLIGHT_ORIGIN_CACHE_TTL = 60 * 1000; // 1 minute
+
+const preflightOriginCache = new Map();
+
+/**
+ * Get the allowed origins configured on a project
+ * @param {string} projectId - The project ID
+ * @returns {Promise<string[]>} The project's allowed origins (empty if not found)
+ */
+const getProjectOrigins = async (projectId) => {
+  const project = await getCachedProject(projectId);
+  return project?.allowedOrigins || [];
+};
+
+/**
+ * Whether any project allows an origin. Preflight requests don't carry the
+ * x-project-id value, so they are allowed for every known customer origin and
+ * the real check happens on the actual request.
+ * @param {string} origin - The normalized request origin
+ * @returns {Promise<boolean>} True if some project lists the origin
+ */
+const isKnownProjectOrigin = async (origin) => {
+  const cached = preflightOriginCache.get(origin);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.exists;
+  }
+
+  const exists = !!(await Project.exists({ allowedOrigins: origin }));
+  preflightOriginCache.set(origin, {
+    exists,
+    expiresAt: Date.now() + PREFLIGHT_ORIGIN_CACHE_TTL,
+  });
+  return exists;
+};
+
+/**
+ * Drop cached preflight origins so project origin changes take effect immediately
+ */
+export const invalidatePreflightOriginCache = () => {
+  preflightOriginCache.clear();
+};
+
+// Resolve CORS options for public /api requests from the project in x-project-id
+const resolveApiCorsOptions = async (req, callback) => {
+  try {
+    const origin = normalizeOrigin(req.headers["origin"]);
+    let allowed = !origin || isOriginAllowed(origin, DASHBOARD_ORIGINS);
+
+    if (!allowed) {
+      const projectId = req.headers["x-project-id"];
+      const isPreflight =
+        req.method === "OPTIONS" &&
+        !!req.headers["access-control-request-method"];
+
+      if (isPreflight) {
+        allowed = await isKnownProjectOrigin(origin);
+      } else if (mongoose.isValidObjectId(projectId)) {
+        allowed = isOriginAllowed(origin, await getProjectOrigins(projectId));
+      }
+    }
+
+    callback(null, { ...baseCorsOptions, origin: allowed });
+  } catch (error) {
+    console.error("CORS origin resolution error:", error);
+    callback(null, { ...baseCorsOptions, origin: false });
+  }
+};
+
+// Dashboard routes only accept our own origins
+export const dashboardCors = cors({
+  ...baseCorsOptions,
+  origin: DASHBOARD_ORIGINS,
+});
+
+// Public API routes accept the origins configured on the calling project
+export const apiCors = cors(resolveApiCorsOptions);
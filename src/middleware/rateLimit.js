@@ -0,0 +1,249 @@
+import rateLimit from "express-rate-limit";
+import RateLimitCounter from "../models/RateLimitCounter.js";
+import { getEnvInt } from "../utils/env.js";
+import { getCachedProject } from "../utils/projectCache.js";
+
+// Defaults for keys and projects without their own limits (null = unlimited)
+const getDefaultLimits = () => ({
+  perMinute: getEnvInt("API_RATE_LIMIT_PER_MINUTE", 300),
+  perMonth: getEnvInt("API_MONTHLY_QUOTA", null),
+});
+
+// Extra time counters are kept after their window ends (in case of clock skew)
+const COUNTER_EXPIRY_BUFFER = 60 * 1000; // 1 minute
+
+/**
+ * Get the rate limits configured on a project
+ * @param {string} projectId - The project ID
+ * @returns {Promise<{perMinute: number|null, perMonth: number|null}>} The project's limits
+ */
+const getProjectLimits = async (projectId) => {
+  const project = await getCachedProject(projectId);
+  return {
+    perMinute: project?.rateLimit?.perMinute ?? null,
+    perMonth: project?.rateLimit?.perMonth ?? null,
+  };
+};
+
+/**
+ * Resolve the effective limits for an API key (key, then project, then defaults)
+ * @param {object} apiKey - The API key document
+ * @param {string} projectId - The project ID
+ * @returns {Promise<{perMinute: number|null, perMonth: number|null}>} The effective limits
+ */
+export const resolveRateLimits = async (apiKey, projectId) => {
+  const projectLimits = await getProjectLimits(projectId);
+  const defaults = getDefaultLimits();
+
+  return {
+    perMinute:
+      apiKey.rateLimit?.perMinute ??
+      projectLimits.perMinute ??
+      defaults.perMinute,
+    perMonth:
+      apiKey.rateLimit?.perMonth ?? projectLimits.perMonth ?? defaults.perMonth,
+  };
+};
+
+/**
+ * Get the current window for a limit
+ * @param {string} period - 'minute' or 'month'
+ * @param {Date} now - The current time
+ * @returns {{start: Date, reset: Date}} The window start and the time it resets
+ */
+const getWindow = (period, now = new Date()) => {
+  if (period === "minute") {
+    const start = new Date(Math.floor(now.getTime() / 60000) * 60000);
+    return { start, reset: new Date(start.getTime() + 60000) };
+  }
+
+  // Calendar month in UTC
+  const start = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+  const reset = new Date(
+    Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1)
+  );
+  return { start, reset };
+};
+
+/**
+ * Atomically increment the counter for a key's current window
+ * @param {string} apiKeyId - The API key ID
+ * @param {string} period - 'minute' or 'month'
+ * @returns {Promise<{count: number, reset: Date}>} The new count and window reset time
+ */
+const incrementCounter = async (apiKeyId, period) => {
+  const { start, reset } = getWindow(period);
+  const key = `${apiKeyId}:${period}:${start.getTime()}`;
+  const update = {
+    $inc: { count: 1 },
+    $setOnInsert: {
+      expiresAt: new Date(reset.getTime() + COUNTER_EXPIRY_BUFFER),
+    },
+  };
+
+  try {
+    const counter = await RateLimitCounter.findOneAndUpdate({ key }, update, {
+      upsert: true,
+      new: true,
+    });
+    return { count: counter.count, reset };
+  } catch (error) {
+    // Two instances upserting the same new counter - retry as a plain update
+    if (error.code === 11000) {
+      const counter = await RateLimitCounter.findOneAndUpdate({ key }, update, {
+        new: true,
+      });
+      return { count: counter.count, reset };
+    }
+    throw error;
+  }
+};
+
+/**
+ * Read the current count for a key's window without incrementing it
+ * @param {string} apiKeyId - The API key ID
+ * @param {string} period - 'minute' or 'month'
+ * @returns {Promise<{count: number, reset: Date}>} The current count and window reset time
+ */
+export const getCurrentUsage = async (apiKeyId, period) => {
+  const { start, reset } = getWindow(period);
+  const counter = await RateLimitCounter.findOne({
+    key: `${apiKeyId}:${period}:${start.getTime()}`,
+  });
+  return { count: counter ? counter.count : 0, reset };
+};
+
+/**
+ * Get a key's effective limits with how much of each is used in the current window
+ * @param {object} apiKey - The API key document
+ * @param {string} projectId - The project ID
+ * @returns {Promise<{perMinute: object|null, perMonth: object|null}>} Each limit's value, used, remaining and resetAt (null if unlimited)
+ */
+export const getRateLimitBudget = async (apiKey, projectId) => {
+  const limits = await resolveRateLimits(apiKey, projectId);
+  const apiKeyId = apiKey._id.toString();
+  const budget = { perMinute: null, perMonth: null };
+
+  for (const [name, period] of [
+    ["perMinute", "minute"],
+    ["perMonth", "month"],
+  ]) {
+    if (!limits[name]) {
+      continue;
+    }
+    const { count, reset } = await getCurrentUsage(apiKeyId, period);
+    budget[name] = {
+      limit: limits[name],
+      used: count,
+      remaining: Math.max(limits[name] - count, 0),
+      resetAt: reset.toISOString(),
+    };
+  }
+
+  return budget;
+};
+
+const setLimitHeaders = (res, prefix, limit, count, reset) => {
+  res.set({
+    [`${prefix}-Limit`]: String(limit),
+    [`${prefix}-Remaining`]: String(Math.max(limit - count, 0)),
+    [`${prefix}-Reset`]: String(Math.ceil(reset.getTime() / 1000)),
+  });
+};
+
+const sendLimitExceeded = (res, { code, limit, period, count, reset }) => {
+  const retryAfter = Math.max(
+    Math.ceil((reset.getTime() - Date.now()) / 1000),
+    1
+  );
+  res.set("Retry-After", String(retryAfter));
+  return res.status(429).json({
+    error:
+      period === "minute" ? "Rate limit exceeded" : "Monthly quota exceeded",
+    code,
+    message:
+      period === "minute"
+        ? `This API key is limited to ${limit} requests per minute`
+        : `This API key has used its quota of ${limit} requests this month`,
+    limit: {
+      name: period === "minute" ? "perMinute" : "perMonth",
+      value: limit,
+      used: count,
+      resetAt: reset.toISOString(),
+    },
+    retryAfter,
+  });
+};
+
+/**
+ * Per-key rate limit and monthly quota middleware (use after validateApiKey)
+ * Sets X-RateLimit-* headers for the per-minute limit and X-RateLimit-Quota-*
+ * headers for the monthly quota. Fails open if the counter store is unavailable.
+ */
+export const enforceRateLimits = async (req, res, next) => {
+  if (!req.apiKey) {
+    return next();
+  }
+
+  try {
+    const limits = await resolveRateLimits(req.apiKey, req.projectId);
+    const apiKeyId = req.apiKey._id.toString();
+
+    if (limits.perMinute) {
+      const { count, reset } = await incrementCounter(apiKeyId, "minute");
+      setLimitHeaders(res, "X-RateLimit", limits.perMinute, count, reset);
+
+      if (count > limits.perMinute) {
+        return sendLimitExceeded(res, {
+          code: "rate_limit_exceeded",
+          limit: limits.perMinute,
+          period: "minute",
+          count,
+          reset,
+        });
+      }
+    }
+
+    if (limits.perMonth) {
+      const { count, reset } = await incrementCounter(apiKeyId, "month");
+      setLimitHeaders(res, "X-RateLimit-Quota", limits.perMonth, count, reset);
+
+      if (count > limits.perMonth) {
+        return sendLimitExceeded(res, {
+          code: "monthly_quota_exceeded",
+          limit: limits.perMonth,
+          period: "month",
+          count,
+          reset,
+        });
+      }
+    }
+
+    next();
+  } catch (error) {
+    // Don't block traffic if the counter store is unavailable
+    console.error("Rate limit error:", error);
+    next();
+  }
+};
+
+/**
+ * Per-IP rate limit middleware (mount before the routes)
+ * Calls authenticated by validateApiKey are limited per key by
+ * enforceRateLimits, so they stop counting against the IP once they complete.
+ * Everything else counts, including calls with a missing, malformed or
+ * invalid key and the unauthenticated NPM package endpoints.
+ * @param {object} options - express-rate-limit options overriding the defaults
+ * @returns {Function} The middleware
+ */
+export const createIpRateLimiter = (options = {}) => {
+  return rateLimit({
+    windowMs: 15 * 60 * 1000,
+    max: 300,
+    standardHeaders: true,
+    legacyHeaders: false,
+    skipSuccessfulRequests: true,
+    requestWasSuccessful: (req) => !!req.apiKey,
+    ...options,
+  });
+};
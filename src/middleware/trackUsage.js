@@ -1,56 +1,150 @@
-import UsageLog from "../models/UsageLog.js";
+import mongoose from "mongoose";
+import { getApiKeyPrefix } from "../utils/apiKeyGenerator.js";
+import { getCachedProject } from "../utils/projectCache.js";
+import { enqueueUsageLog } from "../utils/usageLogBuffer.js";
+import { publishUsageLog } from "../utils/usageEvents.js";
 
 /**
- * Middleware to track API usage
- * Should be used after apiKeyAuth middleware
- * Logs API calls asynchronously without blocking the response
+ * Resolve the key and project a request is logged under
+ * Requests rejected before a key was identified (unknown or malformed key)
+ * are logged without a key, as long as x-project-id names an existing project
+ * @param {object} req - The Express request
+ * @returns {Promise<{apiKeyId: object|null, projectId: object|string, mode: string}|null>} The owner, or null if the request can't be attributed
  */
-export const trackUsage = (req, res, next) => {
+const resolveUsageOwner = async (req) => {
+  const apiKey = req.apiKey || req.identifiedApiKey;
+  if (apiKey) {
+    return {
+      apiKeyId: apiKey._id,
+      projectId: apiKey.projectId,
+      mode: apiKey.mode,
+    };
+  }
+
+  const projectId = req.headers["x-project-id"];
+  if (!/^[a-f0-9]{24}$/.test(projectId || "")) {
+    return null;
+  }
+  if (!(await getCachedProject(projectId))) {
+    return null;
+  }
+
+  return {
+    apiKeyId: null,
+    projectId,
+    mode: getApiKeyPrefix(req.headers["x-api-key"]) || "live",
+  };
+};
+
+/**
+ * Get the byte length of a chunk passed to res.write / res.end
+ * @param {Buffer|string|undefined} chunk - The chunk
+ * @param {string|Function|undefined} encoding - The chunk encoding (or the callback)
+ * @returns {number} The chunk size in bytes
+ */
+const getChunkSize = (chunk, encoding) => {
+  if (!chunk || typeof chunk === "function") {
+    return 0;
+  }
+  if (Buffer.isBuffer(chunk)) {
+    return chunk.length;
+  }
+  return Buffer.byteLength(
+    String(chunk),
+    typeof encoding === "string" ? encoding : "utf8"
+  );
+};
+
+/**
+ * Hook the response so usage is logged once it has been sent
+ * @param {object} req - The Express request
+ * @param {object} res - The Express response
+ * @param {object} customMetadata - Extra metadata to store with the log
+ */
+const captureUsage = (req, res, customMetadata = {}) => {
   const startTime = Date.now();
+  // Full path, since req.path is relative to the router by the time we log
+  const endpoint = req.originalUrl.split("?")[0];
+  let responseSize = 0;
 
-  // Capture the original end function
+  const originalJson = res.json;
+  const originalWrite = res.write;
   const originalEnd = res.end;
 
-  // Override res.end to log after response is sent
+  // Keep the message of JSON error responses for the log
+  res.json = function (body) {
+    if (res.statusCode >= 400 && body && typeof body === "object") {
+      res.locals.responseError = body.message || body.error;
+    }
+    return originalJson.call(this, body);
+  };
+
+  // Count the bytes actually sent (Content-Length isn't set for streamed responses)
+  res.write = function (...args) {
+    responseSize += getChunkSize(args[0], args[1]);
+    return originalWrite.apply(res, args);
+  };
+
   res.end = function (...args) {
+    responseSize += getChunkSize(args[0], args[1]);
     const responseTime = Date.now() - startTime;
 
-    // Only log if we have API key information (from apiKeyAuth middleware)
-    if (req.apiKey && req.projectId) {
-      // Log usage asynchronously (don't block response)
-      UsageLog.create({
-        apiKeyId: req.apiKey._id,
-        projectId: req.projectId,
-        endpoint: req.path,
-        method: req.method,
-        statusCode: res.statusCode,
-        responseTime: responseTime,
-        timestamp: new Date(),
-        metadata: {
-          userAgent: req.headers["user-agent"] || "",
-          ip:
-            req.ip ||
-            req.connection?.remoteAddress ||
-            req.headers["x-forwarded-for"] ||
-            "",
-          errorMessage: res.statusCode >= 400 ? `HTTP ${res.statusCode}` : null,
-          requestSize: req.get("content-length")
-            ? parseInt(req.get("content-length"))
-            : 0,
-          responseSize: res.get("content-length")
-            ? parseInt(res.get("content-length"))
-            : 0,
-        },
-      }).catch((err) => {
+    // Log usage asynchronously (don't block response); logs are buffered and
+    // written in batches
+    resolveUsageOwner(req)
+      .then((owner) => {
+        if (!owner) {
+          return;
+        }
+
+        const log = {
+          // Set here so live tails and the stored log share the same ID
+          _id: new mongoose.Types.ObjectId(),
+          ...owner,
+          endpoint,
+          method: req.method,
+          statusCode: res.statusCode,
+          responseTime,
+          timestamp: new Date(startTime),
+          metadata: {
+            userAgent: req.headers["user-agent"] || "",
+            ip: req.ip || req.connection?.remoteAddress || "",
+            // A caught exception (res.locals.errorMessage) is more useful than
+            // the generic message sent to the client
+            errorMessage:
+              res.statusCode >= 400
+                ? res.locals.errorMessage ||
+                  res.locals.responseError ||
+                  `HTTP ${res.statusCode}`
+                : null,
+            requestSize: req.get("content-length")
+              ? parseInt(req.get("content-length"))
+              : req.rawBody?.length || 0,
+            responseSize,
+            ...req.trackingMetadata, // Include custom metadata
+            ...customMetadata, // Include provided metadata
+          },
+        };
+        enqueueUsageLog(log);
+        publishUsageLog(log);
+      })
+      .catch((err) => {
         // Log error but don't fail the request
         console.error("Usage logging error:", err);
       });
-    }
 
     // Call the original end function
-    originalEnd.apply(res, args);
+    return originalEnd.apply(res, args);
   };
+};
 
+/**
+ * Middleware to track API usage
+ * Mount before validateApiKey so requests rejected during authentication are
+ * logged too. Logs API calls asynchronously without blocking the response
+ */
+export const trackUsage = (req, res, next) => {
+  captureUsage(req, res);
   next();
 };
 
@@ -60,51 +154,9 @@ export const trackUsage = (req, res, next) => {
  */
 export const trackUsageWithMetadata = (customMetadata = {}) => {
   return (req, res, next) => {
-    const startTime = Date.now();
-
     // Store custom metadata on request for later use
     req.trackingMetadata = customMetadata;
-
-    const originalEnd = res.end;
-
-    res.end = function (...args) {
-      const responseTime = Date.now() - startTime;
-
-      if (req.apiKey && req.projectId) {
-        UsageLog.create({
-          apiKeyId: req.apiKey._id,
-          projectId: req.projectId,
-          endpoint: req.path,
-          method: req.method,
-          statusCode: res.statusCode,
-          responseTime: responseTime,
-          timestamp: new Date(),
-          metadata: {
-            userAgent: req.headers["user-agent"] || "",
-            ip:
-              req.ip ||
-              req.connection?.remoteAddress ||
-              req.headers["x-forwarded-for"] ||
-              "",
-            errorMessage:
-              res.statusCode >= 400 ? `HTTP ${res.statusCode}` : null,
-            requestSize: req.get("content-length")
-              ? parseInt(req.get("content-length"))
-              : 0,
-            responseSize: res.get("content-length")
-              ? parseInt(res.get("content-length"))
-              : 0,
-            ...req.trackingMetadata, // Include custom metadata
-            ...customMetadata, // Include provided metadata
-          },
-        }).catch((err) => {
-          console.error("Usage logging error:", err);
-        });
-      }
-
-      originalEnd.apply(res, args);
-    };
-
+    captureUsage(req, res, customMetadata);
     next();
   };
 };
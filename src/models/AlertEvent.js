@@ -0,0 +1,79 @@
+import mongoose from "mongoose";
+
+// A usage alert rule firing or resolving, with the notifications sent for it
+const alertEventSchema = new mongoose.Schema(
+  {
+    ruleId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "AlertRule",
+      required: true,
+    },
+    projectId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Project",
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["firing", "resolved"],
+      required: true,
+    },
+    // Rule settings at the time, since the rule may be edited or deleted later
+    ruleName: {
+      type: String,
+      required: true,
+    },
+    ruleType: {
+      type: String,
+      required: true,
+    },
+    threshold: {
+      type: Number,
+      default: null,
+    },
+    value: {
+      type: Number,
+      default: null,
+    },
+    message: {
+      type: String,
+      required: true,
+    },
+    notifications: [
+      {
+        _id: false,
+        channel: {
+          type: String,
+          enum: ["webhook", "email"],
+          required: true,
+        },
+        target: {
+          type: String,
+          required: true,
+        },
+        success: {
+          type: Boolean,
+          required: true,
+        },
+        statusCode: {
+          type: Number,
+          default: null,
+        },
+        error: {
+          type: String,
+          default: null,
+        },
+      },
+    ],
+  },
+  {
+    timestamps: true,
+  }
+);
+
+alertEventSchema.index({ projectId: 1, createdAt: -1 });
+alertEventSchema.index({ ruleId: 1, createdAt: -1 });
+
+const AlertEvent = mongoose.model("AlertEvent", alertEventSchema);
+
+export default AlertEvent;
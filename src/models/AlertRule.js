@@ -0,0 +1,114 @@
+import mongoose from "mongoose";
+
+// error_rate: % of calls with a 4xx/5xx status over the window
+// p95_latency: 95th percentile response time (ms) over the window
+// zero_volume: no calls at all over the window
+// quota_usage: % of a key's monthly quota used (highest across the project's keys)
+export const ALERT_RULE_TYPES = [
+  "error_rate",
+  "p95_latency",
+  "zero_volume",
+  "quota_usage",
+];
+
+// Per-project usage alert rule, evaluated against UsageLog (see utils/usageAlerts.js)
+const alertRuleSchema = new mongoose.Schema(
+  {
+    projectId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Project",
+      required: true,
+      index: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 100,
+    },
+    type: {
+      type: String,
+      enum: ALERT_RULE_TYPES,
+      required: true,
+    },
+    // Fires above this value (error_rate: %, p95_latency: ms) or at/above it
+    // (quota_usage: %). Not used by zero_volume.
+    threshold: {
+      type: Number,
+      default: null,
+    },
+    windowMinutes: {
+      type: Number,
+      default: 5,
+      min: 1,
+      max: 1440,
+    },
+    // error_rate and p95_latency are only evaluated with at least this many
+    // calls in the window, so a handful of calls can't fire them
+    minCalls: {
+      type: Number,
+      default: 10,
+      min: 1,
+    },
+    mode: {
+      type: String,
+      enum: ["live", "test"],
+      default: "live",
+    },
+    // Only watch calls made with this key (null = the whole project)
+    apiKeyId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ApiKey",
+      default: null,
+    },
+    webhooks: {
+      type: [String],
+      default: [],
+    },
+    // Webhook payloads are signed with this secret (HMAC-SHA256)
+    webhookSecret: {
+      type: String,
+      select: false,
+    },
+    emails: {
+      type: [String],
+      default: [],
+    },
+    enabled: {
+      type: Boolean,
+      default: true,
+    },
+    // Notifications are only sent when the state changes
+    state: {
+      type: String,
+      enum: ["ok", "firing"],
+      default: "ok",
+    },
+    firingSince: {
+      type: Date,
+      default: null,
+    },
+    lastValue: {
+      type: Number,
+      default: null,
+    },
+    lastEvaluatedAt: {
+      type: Date,
+      default: null,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+alertRuleSchema.index({ enabled: 1 });
+
+const AlertRule = mongoose.model("AlertRule", alertRuleSchema);
+
+export default AlertRule;
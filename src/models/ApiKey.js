@@ -1,4 +1,9 @@
 import mongoose from "mongoose";
+import {
+  hashApiKey,
+  API_KEY_DISPLAY_PREFIX_LENGTH,
+} from "../utils/apiKeyGenerator.js";
+import { API_KEY_SCOPES, mapPermissionsToScopes } from "../utils/scopes.js";
 
 const apiKeySchema = new mongoose.Schema(
   {
@@ -8,11 +13,34 @@ const apiKeySchema = new mongoose.Schema(
       required: true,
       index: true,
     },
-    key: {
+    // SHA-256 digest of the full key - the key itself is never stored
+    keyHash: {
       type: String,
       required: true,
       unique: true,
-      index: true,
+    },
+    // Non-secret parts of the key kept for display (e.g. pk_live_1a2b...9f3e)
+    keyPrefix: {
+      type: String,
+      required: true,
+    },
+    lastFour: {
+      type: String,
+      required: true,
+    },
+    // Publishable keys (pk_) are safe to embed in browsers; secret keys (sk_)
+    // are for servers and can perform privileged operations
+    type: {
+      type: String,
+      enum: ["publishable", "secret"],
+      default: "publishable",
+    },
+    // Test keys (pk_test_/sk_test_) get sandbox IDs and storage paths, and their
+    // usage is logged separately
+    mode: {
+      type: String,
+      enum: ["live", "test"],
+      default: "live",
     },
     name: {
       type: String,
@@ -20,13 +48,27 @@ const apiKeySchema = new mongoose.Schema(
       trim: true,
       maxlength: 100,
     },
-    permissions: [
-      {
-        type: String,
-        enum: ["auth", "database", "storage"],
-        default: ["auth", "database"],
-      },
-    ],
+    // resource:action scopes, e.g. ["auth:*", "database:read"]
+    scopes: {
+      type: [
+        {
+          type: String,
+          enum: API_KEY_SCOPES,
+        },
+      ],
+      default: undefined,
+    },
+    // Deprecated coarse permissions from before scopes existed; mapped to
+    // equivalent scopes when the key is loaded
+    permissions: {
+      type: [
+        {
+          type: String,
+          enum: ["auth", "database", "storage", "analytics"],
+        },
+      ],
+      default: undefined,
+    },
     isActive: {
       type: Boolean,
       default: true,
@@ -35,11 +77,84 @@ const apiKeySchema = new mongoose.Schema(
       type: Date,
       default: null,
     },
+    // IPv4/IPv6 addresses and CIDR ranges allowed to use this key (empty = any)
+    allowedIps: {
+      type: [String],
+      default: [],
+    },
+    // Browser origins (from Origin or Referer) allowed to use this key (empty = any)
+    allowedOrigins: {
+      type: [String],
+      default: [],
+    },
+    // Per-minute rate limit and monthly quota (null = inherit from the project)
+    rateLimit: {
+      perMinute: {
+        type: Number,
+        default: null,
+        min: 1,
+      },
+      perMonth: {
+        type: Number,
+        default: null,
+        min: 1,
+      },
+    },
+    // Optional expiry - expired keys are rejected and deactivated
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
     description: {
       type: String,
       default: "",
       maxlength: 500,
     },
+    // Previous secret, still accepted until previousKeyExpiresAt after a rotation
+    previousKeyHash: {
+      type: String,
+      default: null,
+    },
+    previousKeyPrefix: {
+      type: String,
+      default: null,
+    },
+    previousLastFour: {
+      type: String,
+      default: null,
+    },
+    previousKeyExpiresAt: {
+      type: Date,
+      default: null,
+    },
+    rotatedAt: {
+      type: Date,
+      default: null,
+    },
+    // Set when the key was deactivated by a project-wide revoke
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    revokeReason: {
+      type: String,
+      default: null,
+      maxlength: 500,
+    },
+    // Set by leak detection when the key is seen from too many unrelated networks
+    leakSuspectedAt: {
+      type: Date,
+      default: null,
+    },
+    leakSuspectedNetworks: {
+      type: Number,
+      default: null,
+    },
   },
   {
     timestamps: true,
@@ -48,27 +163,109 @@ const apiKeySchema = new mongoose.Schema(
 
 // Indexes for better query performance
 apiKeySchema.index({ projectId: 1, isActive: 1 });
-apiKeySchema.index({ key: 1 });
 apiKeySchema.index({ lastUsed: -1 });
+apiKeySchema.index({ previousKeyHash: 1 });
+apiKeySchema.index({ projectId: 1, expiresAt: 1 });
+
+// Keys created before scopes existed get the equivalent of their permissions
+apiKeySchema.post("init", function () {
+  if ((!this.scopes || this.scopes.length === 0) && this.permissions?.length) {
+    this.scopes = mapPermissionsToScopes(this.permissions);
+  }
+});
+
+// Masked key for display purposes
+apiKeySchema.virtual("maskedKey").get(function () {
+  return `${this.keyPrefix}...${this.lastFour}`;
+});
+
+// Whether the key is past its expiry date
+apiKeySchema.methods.isExpired = function () {
+  return !!this.expiresAt && this.expiresAt <= new Date();
+};
+
+// Store the digest and display parts of a newly generated key
+apiKeySchema.methods.setKey = function (apiKey) {
+  this.keyHash = hashApiKey(apiKey);
+  this.keyPrefix = apiKey.substring(0, API_KEY_DISPLAY_PREFIX_LENGTH);
+  this.lastFour = apiKey.substring(apiKey.length - 4);
+};
+
+// Replace the secret, keeping the old one valid for gracePeriodMs
+apiKeySchema.methods.rotateKey = function (apiKey, gracePeriodMs) {
+  const now = new Date();
+  if (gracePeriodMs > 0) {
+    this.previousKeyHash = this.keyHash;
+    this.previousKeyPrefix = this.keyPrefix;
+    this.previousLastFour = this.lastFour;
+    this.previousKeyExpiresAt = new Date(now.getTime() + gracePeriodMs);
+  } else {
+    this.clearPreviousKey();
+  }
+  this.rotatedAt = now;
+  this.setKey(apiKey);
+};
+
+// End a rotation grace period immediately
+apiKeySchema.methods.clearPreviousKey = function () {
+  this.previousKeyHash = null;
+  this.previousKeyPrefix = null;
+  this.previousLastFour = null;
+  this.previousKeyExpiresAt = null;
+};
+
+// Clear the possible-leak flag (e.g. after the secret was replaced)
+apiKeySchema.methods.clearLeakSuspicion = function () {
+  this.leakSuspectedAt = null;
+  this.leakSuspectedNetworks = null;
+};
+
+// Rotation status for display
+apiKeySchema.methods.getRotationStatus = function () {
+  const inGracePeriod =
+    !!this.previousKeyHash &&
+    !!this.previousKeyExpiresAt &&
+    this.previousKeyExpiresAt > new Date();
+
+  return {
+    status: inGracePeriod
+      ? "grace_period"
+      : this.rotatedAt
+      ? "rotated"
+      : "none",
+    rotatedAt: this.rotatedAt,
+    previousKey: inGracePeriod
+      ? `${this.previousKeyPrefix}...${this.previousLastFour}`
+      : null,
+    previousKeyExpiresAt: inGracePeriod ? this.previousKeyExpiresAt : null,
+  };
+};
+
+// Find an API key by its full (unhashed) value, including previous secrets
+// that are still within their rotation grace period
+apiKeySchema.statics.findByKey = function (apiKey) {
+  const keyHash = hashApiKey(apiKey);
+  return this.findOne({
+    $or: [
+      { keyHash },
+      { previousKeyHash: keyHash, previousKeyExpiresAt: { $gt: new Date() } },
+    ],
+  });
+};
 
 // Remove sensitive data when converting to JSON
 apiKeySchema.methods.toJSON = function () {
   const apiKeyObject = this.toObject();
-  // Don't expose the full key in JSON responses for security
-  if (apiKeyObject.key) {
-    apiKeyObject.key =
-      apiKeyObject.key.substring(0, 8) +
-      "..." +
-      apiKeyObject.key.substring(apiKeyObject.key.length - 4);
-  }
+  delete apiKeyObject.keyHash;
+  delete apiKeyObject.previousKeyHash;
+  delete apiKeyObject.previousKeyPrefix;
+  delete apiKeyObject.previousLastFour;
+  delete apiKeyObject.previousKeyExpiresAt;
+  // Only the masked key is ever exposed in JSON responses
+  apiKeyObject.key = this.maskedKey;
   return apiKeyObject;
 };
 
-// Method to get full key (for internal use only)
-apiKeySchema.methods.getFullKey = function () {
-  return this.key;
-};
-
 const ApiKey = mongoose.model("ApiKey", apiKeySchema);
 
 export default ApiKey;
@@ -0,0 +1,38 @@
+import mongoose from "mongoose";
+
+// Networks an API key was recently used from, for leak detection
+const apiKeySightingSchema = new mongoose.Schema(
+  {
+    apiKeyId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ApiKey",
+      required: true,
+    },
+    // /24 (IPv4) or /48 (IPv6) network of the client IP
+    network: {
+      type: String,
+      required: true,
+    },
+    lastSeenAt: {
+      type: Date,
+      required: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: false,
+  }
+);
+
+// One sighting per key and network
+apiKeySightingSchema.index({ apiKeyId: 1, network: 1 }, { unique: true });
+
+// TTL index to automatically delete sightings older than the detection window
+apiKeySightingSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const ApiKeySighting = mongoose.model("ApiKeySighting", apiKeySightingSchema);
+
+export default ApiKeySighting;
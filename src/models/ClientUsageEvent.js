@@ -0,0 +1,102 @@
+import mongoose from "mongoose";
+
+// API calls reported by the NPM package from the client side (timings as
+// measured by the client). Kept apart from UsageLog, which is recorded by the server.
+const clientUsageEventSchema = new mongoose.Schema(
+  {
+    apiKeyId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ApiKey",
+      required: true,
+    },
+    projectId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Project",
+      required: true,
+    },
+    mode: {
+      type: String,
+      enum: ["live", "test"],
+      default: "live",
+    },
+    // Client-generated ID used to drop events that are reported twice
+    eventId: {
+      type: String,
+      default: undefined,
+    },
+    endpoint: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    method: {
+      type: String,
+      required: true,
+    },
+    statusCode: {
+      type: Number,
+      default: null,
+    },
+    responseTime: {
+      type: Number,
+      default: null, // in milliseconds
+    },
+    responseSize: {
+      type: Number,
+      default: null,
+    },
+    success: {
+      type: Boolean,
+      default: null,
+    },
+    packageVersion: {
+      type: String,
+      default: null,
+    },
+    source: {
+      type: String,
+      default: null,
+    },
+    anonymousId: {
+      type: String,
+      default: null,
+    },
+    // When the call happened on the client
+    timestamp: {
+      type: Date,
+      required: true,
+    },
+    receivedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: false,
+  }
+);
+
+clientUsageEventSchema.index({ projectId: 1, timestamp: -1 });
+clientUsageEventSchema.index({ apiKeyId: 1, timestamp: -1 });
+
+// An event ID can only be stored once per key
+clientUsageEventSchema.index(
+  { apiKeyId: 1, eventId: 1 },
+  { unique: true, partialFilterExpression: { eventId: { $type: "string" } } }
+);
+
+// Events older than this are deleted (and rejected when received)
+export const CLIENT_USAGE_EVENT_RETENTION_SECONDS = 90 * 24 * 60 * 60;
+
+// TTL index to automatically delete events older than 90 days
+clientUsageEventSchema.index(
+  { timestamp: 1 },
+  { expireAfterSeconds: CLIENT_USAGE_EVENT_RETENTION_SECONDS }
+);
+
+const ClientUsageEvent = mongoose.model(
+  "ClientUsageEvent",
+  clientUsageEventSchema
+);
+
+export default ClientUsageEvent;
@@ -0,0 +1,49 @@
+import mongoose from "mongoose";
+
+// Audit record of a project-wide revoke of all API keys
+const keyRevocationSchema = new mongoose.Schema(
+  {
+    projectId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Project",
+      required: true,
+    },
+    revokedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    reason: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 500,
+    },
+    // Keys that were active and got deactivated
+    revokedKeyIds: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "ApiKey",
+      },
+    ],
+    // Keys whose rotation grace period was ended
+    gracePeriodsEnded: {
+      type: Number,
+      default: 0,
+    },
+    replacementKeyId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ApiKey",
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+keyRevocationSchema.index({ projectId: 1, createdAt: -1 });
+
+const KeyRevocation = mongoose.model("KeyRevocation", keyRevocationSchema);
+
+export default KeyRevocation;
@@ -37,6 +37,48 @@ const projectSchema = new mongoose.Schema(
       type: Boolean,
       default: false,
     },
+    // Default per-minute rate limit and monthly quota for the project's API keys
+    // (null = server default)
+    rateLimit: {
+      perMinute: {
+        type: Number,
+        default: null,
+        min: 1,
+      },
+      perMonth: {
+        type: Number,
+        default: null,
+        min: 1,
+      },
+    },
+    // Reject secret key calls that aren't HMAC-signed
+    requireSignedRequests: {
+      type: Boolean,
+      default: false,
+    },
+    // Flag keys seen from more than maxNetworks unrelated networks (/24 for
+    // IPv4, /48 for IPv6) within windowHours as possibly leaked
+    leakDetection: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      maxNetworks: {
+        type: Number,
+        default: 20,
+        min: 2,
+      },
+      windowHours: {
+        type: Number,
+        default: 24,
+        min: 1,
+      },
+    },
+    // Browser origins allowed to call the public /api routes for this project
+    allowedOrigins: {
+      type: [String],
+      default: [],
+    },
   },
   {
     timestamps: true,
@@ -45,6 +87,7 @@ const projectSchema = new mongoose.Schema(
 
 // Indexes for better query performance
 projectSchema.index({ owner: 1, createdAt: -1 });
+projectSchema.index({ allowedOrigins: 1 });
 
 const Project = mongoose.model("Project", projectSchema);
 
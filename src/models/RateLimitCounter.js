@@ -0,0 +1,35 @@
+import mongoose from "mongoose";
+
+// Request counters for per-key rate limits and quotas. Stored in MongoDB so
+// limits hold across serverless instances.
+const rateLimitCounterSchema = new mongoose.Schema(
+  {
+    // e.g. "<apiKeyId>:minute:<windowStart>"
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    count: {
+      type: Number,
+      default: 0,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: false,
+  }
+);
+
+// TTL index to automatically delete counters once their window has passed
+rateLimitCounterSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const RateLimitCounter = mongoose.model(
+  "RateLimitCounter",
+  rateLimitCounterSchema
+);
+
+export default RateLimitCounter;
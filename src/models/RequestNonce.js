@@ -0,0 +1,33 @@
+import mongoose from "mongoose";
+
+// Nonces of signed requests, kept for the clock-skew window so replays can be rejected
+const requestNonceSchema = new mongoose.Schema(
+  {
+    apiKeyId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ApiKey",
+      required: true,
+    },
+    nonce: {
+      type: String,
+      required: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: false,
+  }
+);
+
+// A nonce can only be used once per key
+requestNonceSchema.index({ apiKeyId: 1, nonce: 1 }, { unique: true });
+
+// TTL index to automatically delete nonces once they can no longer be replayed
+requestNonceSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const RequestNonce = mongoose.model("RequestNonce", requestNonceSchema);
+
+export default RequestNonce;
@@ -0,0 +1,75 @@
+import mongoose from "mongoose";
+
+// Anonymous telemetry from the NPM package, not tied to a key or project
+const telemetryEventSchema = new mongoose.Schema(
+  {
+    // Random ID generated by each SDK installation
+    anonymousId: {
+      type: String,
+      required: true,
+    },
+    // Client-generated ID used to drop events that are reported twice
+    eventId: {
+      type: String,
+      default: undefined,
+    },
+    endpoint: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    method: {
+      type: String,
+      required: true,
+    },
+    statusCode: {
+      type: Number,
+      default: null,
+    },
+    responseTime: {
+      type: Number,
+      default: null, // in milliseconds
+    },
+    packageVersion: {
+      type: String,
+      default: null,
+    },
+    source: {
+      type: String,
+      default: null,
+    },
+    timestamp: {
+      type: Date,
+      required: true,
+    },
+    receivedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: false,
+  }
+);
+
+telemetryEventSchema.index({ anonymousId: 1, timestamp: -1 });
+telemetryEventSchema.index({ packageVersion: 1, timestamp: -1 });
+
+// An event ID can only be stored once per installation
+telemetryEventSchema.index(
+  { anonymousId: 1, eventId: 1 },
+  { unique: true, partialFilterExpression: { eventId: { $type: "string" } } }
+);
+
+// Events older than this are deleted (and rejected when received)
+export const TELEMETRY_EVENT_RETENTION_SECONDS = 90 * 24 * 60 * 60;
+
+// TTL index to automatically delete events older than 90 days
+telemetryEventSchema.index(
+  { timestamp: 1 },
+  { expireAfterSeconds: TELEMETRY_EVENT_RETENTION_SECONDS }
+);
+
+const TelemetryEvent = mongoose.model("TelemetryEvent", telemetryEventSchema);
+
+export default TelemetryEvent;
@@ -2,10 +2,11 @@ import mongoose from "mongoose";
 
 const usageLogSchema = new mongoose.Schema(
   {
+    // null for requests rejected before a key was identified
     apiKeyId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "ApiKey",
-      required: true,
+      default: null,
       index: true,
     },
     projectId: {
@@ -14,6 +15,12 @@ const usageLogSchema = new mongoose.Schema(
       required: true,
       index: true,
     },
+    // Mode of the API key that made the call, so test traffic can be filtered out
+    mode: {
+      type: String,
+      enum: ["live", "test"],
+      default: "live",
+    },
     endpoint: {
       type: String,
       required: true,
@@ -22,7 +29,7 @@ const usageLogSchema = new mongoose.Schema(
     method: {
       type: String,
       required: true,
-      enum: ["GET", "POST", "PUT", "DELETE", "PATCH", "OPTIONS"],
+      enum: ["GET", "POST", "PUT", "DELETE", "PATCH", "OPTIONS", "HEAD"],
     },
     statusCode: {
       type: Number,
@@ -75,11 +82,15 @@ usageLogSchema.index({ timestamp: -1 });
 // Compound indexes for common queries
 usageLogSchema.index({ projectId: 1, endpoint: 1, timestamp: -1 });
 usageLogSchema.index({ projectId: 1, statusCode: 1, timestamp: -1 });
+usageLogSchema.index({ projectId: 1, mode: 1, timestamp: -1 });
+
+// Logs older than this are deleted
+export const USAGE_LOG_RETENTION_SECONDS = 90 * 24 * 60 * 60;
 
 // TTL index to automatically delete logs older than 90 days
 usageLogSchema.index(
   { timestamp: 1 },
-  { expireAfterSeconds: 90 * 24 * 60 * 60 }
+  { expireAfterSeconds: USAGE_LOG_RETENTION_SECONDS }
 );
 
 const UsageLog = mongoose.model("UsageLog", usageLogSchema);
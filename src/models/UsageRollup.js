@@ -0,0 +1,97 @@
+import mongoose from "mongoose";
+
+/**
+ * Schema shared by the hourly and daily usage rollups: UsageLog counters per
+ * project, key, mode, endpoint and status class, updated incrementally
+ * (see utils/usageRollups.js). Counters have no defaults so upserts can $inc them.
+ */
+const buildUsageRollupSchema = () =>
+  new mongoose.Schema(
+    {
+      projectId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Project",
+        required: true,
+      },
+      // null for requests rejected before a key was identified
+      apiKeyId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "ApiKey",
+        default: null,
+      },
+      mode: {
+        type: String,
+        enum: ["live", "test"],
+        required: true,
+      },
+      endpoint: {
+        type: String,
+        required: true,
+      },
+      // "2xx", "3xx", "4xx" or "5xx"
+      statusClass: {
+        type: String,
+        required: true,
+      },
+      // Start of the UTC hour or day
+      bucketStart: {
+        type: Date,
+        required: true,
+      },
+      count: Number,
+      totalResponseTime: Number,
+      minResponseTime: Number,
+      maxResponseTime: Number,
+      requestBytes: Number,
+      responseBytes: Number,
+      // Counts by exact status code ({ "200": 10, "201": 2 })
+      statusCodes: {
+        type: Map,
+        of: Number,
+      },
+      // Counts by latency bucket (see LATENCY_HISTOGRAM_BOUNDS)
+      latencyHistogram: {
+        type: Map,
+        of: Number,
+      },
+    },
+    {
+      timestamps: false,
+    }
+  );
+
+const hourlyUsageRollupSchema = buildUsageRollupSchema();
+const dailyUsageRollupSchema = buildUsageRollupSchema();
+
+for (const schema of [hourlyUsageRollupSchema, dailyUsageRollupSchema]) {
+  schema.index(
+    {
+      projectId: 1,
+      bucketStart: 1,
+      apiKeyId: 1,
+      mode: 1,
+      endpoint: 1,
+      statusClass: 1,
+    },
+    { unique: true }
+  );
+  schema.index({ apiKeyId: 1, bucketStart: 1 });
+}
+
+// Hourly rollups are kept for 180 days; daily rollups are kept indefinitely
+export const HOURLY_ROLLUP_RETENTION_SECONDS = 180 * 24 * 60 * 60;
+
+hourlyUsageRollupSchema.index(
+  { bucketStart: 1 },
+  { expireAfterSeconds: HOURLY_ROLLUP_RETENTION_SECONDS }
+);
+
+export const HourlyUsageRollup = mongoose.model(
+  "HourlyUsageRollup",
+  hourlyUsageRollupSchema
+);
+
+export const DailyUsageRollup = mongoose.model(
+  "DailyUsageRollup",
+  dailyUsageRollupSchema
+);
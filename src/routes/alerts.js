@@ -0,0 +1,553 @@
+import express from "express";
+import { body, query, validationResult } from "express-validator";
+import { authenticateToken } from "../middleware/auth.js";
+import {
+  checkWebhookHost,
+  generateWebhookSecret,
+  isAlertEmailConfigured,
+} from "../utils/alertNotifier.js";
+import AlertEvent from "../models/AlertEvent.js";
+import AlertRule, { ALERT_RULE_TYPES } from "../models/AlertRule.js";
+import ApiKey from "../models/ApiKey.js";
+import Project from "../models/Project.js";
+
+const router = express.Router();
+
+const MAX_ALERT_RULES_PER_PROJECT = 25;
+const MAX_WEBHOOKS = 5;
+const MAX_EMAILS = 10;
+
+// Threshold used when a rule doesn't set one (null = the rule needs one)
+const DEFAULT_THRESHOLDS = {
+  error_rate: null,
+  p95_latency: null,
+  zero_volume: null,
+  quota_usage: 80,
+};
+
+// Types whose threshold is a percentage
+const PERCENTAGE_TYPES = ["error_rate", "quota_usage"];
+
+/**
+ * Check that a webhook URL is an https URL (http is allowed in development)
+ * @param {string} url - The webhook URL
+ * @returns {boolean} True if the URL can be used for webhooks
+ */
+const isValidWebhookUrl = (url) => {
+  try {
+    const { protocol } = new URL(url);
+    return (
+      protocol === "https:" ||
+      (protocol === "http:" && process.env.NODE_ENV === "development")
+    );
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Validation for creating (all required fields) or updating (all optional) a rule
+ * @param {boolean} isUpdate - Whether the rule already exists
+ * @returns {object[]} The express-validator chains
+ */
+const validateAlertRule = (isUpdate) => {
+  const requiredUnlessUpdate = (chain) => (isUpdate ? chain.optional() : chain);
+
+  return [
+    requiredUnlessUpdate(body("name"))
+      .isString()
+      .withMessage("Name is required")
+      .bail()
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage("Name must be between 1 and 100 characters"),
+    // The type can't change once a rule exists
+    ...(isUpdate
+      ? []
+      : [
+          body("type")
+            .isIn(ALERT_RULE_TYPES)
+            .withMessage(`Type must be one of: ${ALERT_RULE_TYPES.join(", ")}`),
+        ]),
+    body("threshold")
+      .optional({ nullable: true })
+      .isFloat({ min: 0 })
+      .withMessage("Threshold must be a non-negative number")
+      .toFloat(),
+    body("windowMinutes")
+      .optional()
+      .isInt({ min: 1, max: 1440 })
+      .withMessage("Window must be between 1 and 1440 minutes")
+      .toInt(),
+    body("minCalls")
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage("Minimum calls must be a positive integer")
+      .toInt(),
+    body("mode")
+      .optional()
+      .isIn(["live", "test"])
+      .withMessage("Mode must be one of: live, test"),
+    body("apiKeyId")
+      .optional({ nullable: true })
+      .isMongoId()
+      .withMessage("API key ID must be valid"),
+    body("webhooks")
+      .optional()
+      .isArray({ max: MAX_WEBHOOKS })
+      .withMessage(`Webhooks must be an array of at most ${MAX_WEBHOOKS} URLs`),
+    body("webhooks.*")
+      .custom(isValidWebhookUrl)
+      .withMessage("Each webhook must be an https URL")
+      .bail()
+      .custom(checkWebhookHost),
+    body("emails")
+      .optional()
+      .isArray({ max: MAX_EMAILS })
+      .withMessage(`Emails must be an array of at most ${MAX_EMAILS} addresses`)
+      .bail()
+      .custom((emails) => emails.length === 0 || isAlertEmailConfigured())
+      .withMessage(
+        "Email notifications are not configured on this server (set SMTP_URL)"
+      ),
+    body("emails.*")
+      .isEmail()
+      .withMessage("Each email must be a valid email address"),
+    body("enabled")
+      .optional()
+      .isBoolean()
+      .withMessage("Enabled must be a boolean")
+      .toBoolean(),
+  ];
+};
+
+/**
+ * Check a rule's threshold against its type
+ * @param {string} type - The rule type
+ * @param {number|null} threshold - The threshold
+ * @returns {string|null} The problem, or null if the threshold is valid
+ */
+const checkThreshold = (type, threshold) => {
+  if (type === "zero_volume") {
+    return null;
+  }
+  if (threshold === null || threshold === undefined) {
+    return `A threshold is required for ${type} rules`;
+  }
+  if (PERCENTAGE_TYPES.includes(type) && threshold > 100) {
+    return `The threshold of ${type} rules is a percentage (0-100)`;
+  }
+  return null;
+};
+
+/**
+ * Check that an API key belongs to a project
+ * @param {string|null|undefined} apiKeyId - The API key ID
+ * @param {object} projectId - The project ID
+ * @returns {Promise<boolean>} True if the key is unset or belongs to the project
+ */
+const isProjectKey = async (apiKeyId, projectId) => {
+  if (!apiKeyId) {
+    return true;
+  }
+  return !!(await ApiKey.exists({ _id: apiKeyId, projectId }));
+};
+
+/**
+ * Find an alert rule and check the user owns its project
+ * @param {string} ruleId - The rule ID
+ * @param {object} user - The authenticated user
+ * @param {object} res - The Express response (the error is sent on failure)
+ * @returns {Promise<object|null>} The rule, or null if a response was sent
+ */
+const findOwnedRule = async (ruleId, user, res) => {
+  const rule = await AlertRule.findById(ruleId).populate("projectId", "owner");
+
+  if (!rule) {
+    res.status(404).json({
+      error: "Alert rule not found",
+      message: "The specified alert rule does not exist",
+    });
+    return null;
+  }
+
+  // Verify user owns the project
+  if (rule.projectId.owner.toString() !== user._id.toString()) {
+    res.status(403).json({
+      error: "Access denied",
+      message: "You don't have permission to manage this alert rule",
+    });
+    return null;
+  }
+
+  return rule;
+};
+
+// Get alert rules for a project
+router.get("/:projectId/rules", authenticateToken, async (req, res) => {
+  try {
+    const { projectId } = req.params;
+
+    // Verify project belongs to user
+    const project = await Project.findOne({
+      _id: projectId,
+      owner: req.user._id,
+    });
+
+    if (!project) {
+      return res.status(404).json({
+        error: "Project not found",
+        message:
+          "The specified project does not exist or you don't have access to it",
+      });
+    }
+
+    const rules = await AlertRule.find({ projectId }).sort({ createdAt: 1 });
+
+    res.json({
+      message: "Alert rules retrieved successfully",
+      rules,
+    });
+  } catch (error) {
+    console.error("Get alert rules error:", error);
+    if (error.name === "CastError") {
+      return res.status(400).json({
+        error: "Invalid project ID",
+        message: "The provided project ID is not valid",
+      });
+    }
+    res.status(500).json({
+      error: "Internal server error",
+      message: "Failed to retrieve alert rules",
+    });
+  }
+});
+
+// Create an alert rule
+router.post(
+  "/:projectId/rules",
+  authenticateToken,
+  validateAlertRule(false),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: "Validation failed",
+          details: errors.array(),
+        });
+      }
+
+      const { projectId } = req.params;
+      const {
+        name,
+        type,
+        threshold = DEFAULT_THRESHOLDS[type],
+        windowMinutes,
+        minCalls,
+        mode,
+        apiKeyId,
+        webhooks = [],
+        emails = [],
+        enabled,
+      } = req.body;
+
+      const thresholdError = checkThreshold(type, threshold);
+      if (thresholdError) {
+        return res.status(400).json({
+          error: "Invalid threshold",
+          message: thresholdError,
+        });
+      }
+
+      // Verify project belongs to user
+      const project = await Project.findOne({
+        _id: projectId,
+        owner: req.user._id,
+      });
+
+      if (!project) {
+        return res.status(404).json({
+          error: "Project not found",
+          message:
+            "The specified project does not exist or you don't have access to it",
+        });
+      }
+
+      if (!(await isProjectKey(apiKeyId, project._id))) {
+        return res.status(400).json({
+          error: "Invalid API key",
+          message: "The API key does not belong to this project",
+        });
+      }
+
+      const ruleCount = await AlertRule.countDocuments({
+        projectId: project._id,
+      });
+      if (ruleCount >= MAX_ALERT_RULES_PER_PROJECT) {
+        return res.status(400).json({
+          error: "Too many alert rules",
+          message: `A project can have at most ${MAX_ALERT_RULES_PER_PROJECT} alert rules`,
+        });
+      }
+
+      const webhookSecret = generateWebhookSecret();
+      const rule = await AlertRule.create({
+        projectId: project._id,
+        name,
+        type,
+        threshold: type === "zero_volume" ? null : threshold,
+        windowMinutes,
+        minCalls,
+        mode,
+        apiKeyId: apiKeyId || null,
+        webhooks,
+        webhookSecret,
+        emails,
+        enabled,
+        createdBy: req.user._id,
+      });
+
+      const ruleObject = rule.toJSON();
+      delete ruleObject.webhookSecret;
+
+      res.status(201).json({
+        message: "Alert rule created successfully",
+        rule: ruleObject,
+        // Only shown now - store it to verify webhook signatures
+        webhookSecret,
+      });
+    } catch (error) {
+      console.error("Create alert rule error:", error);
+      if (error.name === "CastError") {
+        return res.status(400).json({
+          error: "Invalid project ID",
+          message: "The provided project ID is not valid",
+        });
+      }
+      res.status(500).json({
+        error: "Internal server error",
+        message: "Failed to create alert rule",
+      });
+    }
+  }
+);
+
+// Update an alert rule
+router.put(
+  "/rules/:ruleId",
+  authenticateToken,
+  [
+    ...validateAlertRule(true),
+    body("regenerateWebhookSecret")
+      .optional()
+      .isBoolean()
+      .withMessage("regenerateWebhookSecret must be a boolean")
+      .toBoolean(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: "Validation failed",
+          details: errors.array(),
+        });
+      }
+
+      const rule = await findOwnedRule(req.params.ruleId, req.user, res);
+      if (!rule) {
+        return;
+      }
+      const projectId = rule.projectId._id;
+
+      const thresholdError = checkThreshold(
+        rule.type,
+        req.body.threshold !== undefined ? req.body.threshold : rule.threshold
+      );
+      if (thresholdError) {
+        return res.status(400).json({
+          error: "Invalid threshold",
+          message: thresholdError,
+        });
+      }
+
+      if (!(await isProjectKey(req.body.apiKeyId, projectId))) {
+        return res.status(400).json({
+          error: "Invalid API key",
+          message: "The API key does not belong to this project",
+        });
+      }
+
+      for (const field of [
+        "name",
+        "threshold",
+        "windowMinutes",
+        "minCalls",
+        "mode",
+        "apiKeyId",
+        "webhooks",
+        "emails",
+        "enabled",
+      ]) {
+        if (req.body[field] !== undefined) {
+          rule[field] = req.body[field];
+        }
+      }
+
+      // A disabled rule stops firing without sending a resolved notification
+      if (rule.enabled === false) {
+        rule.state = "ok";
+        rule.firingSince = null;
+      }
+
+      let webhookSecret;
+      if (req.body.regenerateWebhookSecret) {
+        webhookSecret = generateWebhookSecret();
+        rule.webhookSecret = webhookSecret;
+      }
+
+      await rule.save();
+
+      const ruleObject = rule.toJSON();
+      ruleObject.projectId = projectId;
+      delete ruleObject.webhookSecret;
+
+      res.json({
+        message: "Alert rule updated successfully",
+        rule: ruleObject,
+        ...(webhookSecret && { webhookSecret }),
+      });
+    } catch (error) {
+      console.error("Update alert rule error:", error);
+      if (error.name === "CastError") {
+        return res.status(400).json({
+          error: "Invalid alert rule ID",
+          message: "The provided alert rule ID is not valid",
+        });
+      }
+      res.status(500).json({
+        error: "Internal server error",
+        message: "Failed to update alert rule",
+      });
+    }
+  }
+);
+
+// Delete an alert rule (its history is kept)
+router.delete("/rules/:ruleId", authenticateToken, async (req, res) => {
+  try {
+    const rule = await findOwnedRule(req.params.ruleId, req.user, res);
+    if (!rule) {
+      return;
+    }
+
+    await AlertRule.findByIdAndDelete(rule._id);
+
+    res.json({
+      message: "Alert rule deleted successfully",
+    });
+  } catch (error) {
+    console.error("Delete alert rule error:", error);
+    if (error.name === "CastError") {
+      return res.status(400).json({
+        error: "Invalid alert rule ID",
+        message: "The provided alert rule ID is not valid",
+      });
+    }
+    res.status(500).json({
+      error: "Internal server error",
+      message: "Failed to delete alert rule",
+    });
+  }
+});
+
+// Get alert history for a project, newest first
+router.get(
+  "/:projectId/history",
+  authenticateToken,
+  [
+    query("ruleId")
+      .optional()
+      .isMongoId()
+      .withMessage("ruleId must be a valid alert rule ID"),
+    query("status")
+      .optional()
+      .isIn(["firing", "resolved"])
+      .withMessage("status must be one of: firing, resolved"),
+    query("before")
+      .optional()
+      .isISO8601()
+      .withMessage("before must be an ISO 8601 date"),
+    query("limit")
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage("limit must be between 1 and 100"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: "Validation failed",
+          details: errors.array(),
+        });
+      }
+
+      const { projectId } = req.params;
+      const { ruleId, status, before } = req.query;
+      const limit = parseInt(req.query.limit) || 50;
+
+      // Verify project belongs to user
+      const project = await Project.findOne({
+        _id: projectId,
+        owner: req.user._id,
+      });
+
+      if (!project) {
+        return res.status(404).json({
+          error: "Project not found",
+          message:
+            "The specified project does not exist or you don't have access to it",
+        });
+      }
+
+      const filter = { projectId: project._id };
+      if (ruleId) {
+        filter.ruleId = ruleId;
+      }
+      if (status) {
+        filter.status = status;
+      }
+      if (before) {
+        filter.createdAt = { $lt: new Date(before) };
+      }
+
+      const events = await AlertEvent.find(filter)
+        .sort({ createdAt: -1 })
+        .limit(limit);
+
+      res.json({
+        message: "Alert history retrieved successfully",
+        events,
+        // Pass as `before` to get the next page
+        nextBefore:
+          events.length === limit ? events[events.length - 1].createdAt : null,
+      });
+    } catch (error) {
+      console.error("Get alert history error:", error);
+      if (error.name === "CastError") {
+        return res.status(400).json({
+          error: "Invalid project ID",
+          message: "The provided project ID is not valid",
+        });
+      }
+      res.status(500).json({
+        error: "Internal server error",
+        message: "Failed to retrieve alert history",
+      });
+    }
+  }
+);
+
+export default router;
@@ -1,15 +1,46 @@
 import express from "express";
+import mongoose from "mongoose";
 import { body, validationResult } from "express-validator";
-import { validateApiKey, optionalApiKey } from "../middleware/apiKeyAuth.js";
+import {
+  validateApiKey,
+  optionalApiKey,
+  requireScope,
+  requireSecretKey,
+} from "../middleware/apiKeyAuth.js";
+import { enforceRateLimits } from "../middleware/rateLimit.js";
+import { trackUsage } from "../middleware/trackUsage.js";
+import UsageLog, { USAGE_LOG_RETENTION_SECONDS } from "../models/UsageLog.js";
+import {
+  formatLatencyPercentiles,
+  latencyPercentiles,
+} from "../utils/latency.js";
+import { findRollups, summarizeRollups } from "../utils/usageRollups.js";
 
 const router = express.Router();
 
+// Log every call to UsageLog, including ones rejected during authentication
+router.use(trackUsage);
+
 // Apply API key validation to all routes
 router.use(validateApiKey);
 
+// Per-key rate limits and monthly quotas
+router.use(enforceRateLimits);
+
+// Test and live keys share these (simulated) handlers; only the IDs and storage
+// URLs they return are prefixed for test keys so responses can be told apart
+const modePrefixedId = (req, prefix) =>
+  `${req.mode === "test" ? "test_" : ""}${prefix}_${Date.now()}`;
+
+const storageUrl = (req, path) =>
+  `https://storage.example.com${req.mode === "test" ? "/sandbox" : ""}/${path}`;
+
 // Auth API Routes
+// Every route declares the API key scope it needs (auth:* covers all auth routes)
+
 router.post(
   "/auth/signup",
+  requireScope("auth:write"),
   [
     body("email")
       .isEmail()
@@ -32,10 +63,11 @@ router.post(
       const { email, password } = req.body;
 
       // Simulate user creation
-      const userId = `user_${Date.now()}`;
+      const userId = modePrefixedId(req, "user");
 
       res.status(201).json({
         message: "User created successfully",
+        mode: req.mode,
         user: {
           id: userId,
           email,
@@ -44,6 +76,7 @@ router.post(
       });
     } catch (error) {
       console.error("Signup error:", error);
+      res.locals.errorMessage = error.message;
       res.status(500).json({ error: "Internal server error" });
     }
   }
@@ -51,6 +84,7 @@ router.post(
 
 router.post(
   "/auth/login",
+  requireScope("auth:write"),
   [
     body("email").isEmail().withMessage("Valid email is required"),
     body("password").notEmpty().withMessage("Password is required"),
@@ -68,11 +102,12 @@ router.post(
       const { email, password } = req.body;
 
       // Simulate user authentication
-      const userId = `user_${Date.now()}`;
-      const token = `jwt_token_${Date.now()}`;
+      const userId = modePrefixedId(req, "user");
+      const token = modePrefixedId(req, "jwt_token");
 
       res.json({
         message: "Login successful",
+        mode: req.mode,
         user: {
           id: userId,
           email,
@@ -82,15 +117,78 @@ router.post(
       });
     } catch (error) {
       console.error("Login error:", error);
+      res.locals.errorMessage = error.message;
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+// End user management (secret keys only)
+router.get(
+  "/auth/users",
+  requireScope("auth:read"),
+  requireSecretKey,
+  async (req, res) => {
+    try {
+      const { limit = 10 } = req.query;
+
+      // Simulate listing end users
+      const users = Array.from({ length: Math.min(limit, 10) }, (_, i) => ({
+        id: `${req.mode === "test" ? "test_" : ""}user_${i + 1}`,
+        email: `user${i + 1}@example.com`,
+        createdAt: new Date().toISOString(),
+      }));
+
+      res.json({
+        message: "Users retrieved successfully",
+        mode: req.mode,
+        users,
+        count: users.length,
+      });
+    } catch (error) {
+      console.error("List users error:", error);
+      res.locals.errorMessage = error.message;
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+router.delete(
+  "/auth/users/:userId",
+  requireScope("auth:write"),
+  requireSecretKey,
+  async (req, res) => {
+    try {
+      const { userId } = req.params;
+
+      // Simulate user deletion
+      res.json({
+        message: "User deleted successfully",
+        mode: req.mode,
+        id: userId,
+        deletedAt: new Date().toISOString(),
+      });
+    } catch (error) {
+      console.error("Delete user error:", error);
+      res.locals.errorMessage = error.message;
       res.status(500).json({ error: "Internal server error" });
     }
   }
 );
 
 // Database API Routes
-router.get("/db/query", async (req, res) => {
+router.get("/db/query", requireScope("database:read"), async (req, res) => {
   try {
-    const { table, limit = 10 } = req.query;
+    const { table, limit = 10, bypassRules } = req.query;
+
+    // Only secret keys may bypass per-collection rules
+    if (bypassRules === "true" && req.apiKey.type !== "secret") {
+      return res.status(403).json({
+        error: "Secret key required",
+        code: "secret_key_required",
+        message: "Only secret keys can bypass per-collection rules",
+      });
+    }
 
     // Simulate database query
     const results = Array.from({ length: Math.min(limit, 10) }, (_, i) => ({
@@ -101,18 +199,21 @@ router.get("/db/query", async (req, res) => {
 
     res.json({
       message: "Query executed successfully",
+      mode: req.mode,
       table: table || "default",
       results,
       count: results.length,
     });
   } catch (error) {
     console.error("Database query error:", error);
+    res.locals.errorMessage = error.message;
     res.status(500).json({ error: "Internal server error" });
   }
 });
 
 router.post(
   "/db/insert",
+  requireScope("database:write"),
   [body("data").isObject().withMessage("Data object is required")],
   async (req, res) => {
     try {
@@ -127,16 +228,18 @@ router.post(
       const { data } = req.body;
 
       // Simulate database insert
-      const insertedId = `record_${Date.now()}`;
+      const insertedId = modePrefixedId(req, "record");
 
       res.status(201).json({
         message: "Record inserted successfully",
+        mode: req.mode,
         id: insertedId,
         data,
         createdAt: new Date().toISOString(),
       });
     } catch (error) {
       console.error("Database insert error:", error);
+      res.locals.errorMessage = error.message;
       res.status(500).json({ error: "Internal server error" });
     }
   }
@@ -145,6 +248,7 @@ router.post(
 // Storage API Routes
 router.post(
   "/storage/upload",
+  requireScope("storage:write"),
   [
     body("filename").notEmpty().withMessage("Filename is required"),
     body("content").notEmpty().withMessage("File content is required"),
@@ -162,11 +266,12 @@ router.post(
       const { filename, content } = req.body;
 
       // Simulate file upload
-      const fileId = `file_${Date.now()}`;
-      const fileUrl = `https://storage.example.com/files/${fileId}`;
+      const fileId = modePrefixedId(req, "file");
+      const fileUrl = storageUrl(req, `files/${fileId}`);
 
       res.status(201).json({
         message: "File uploaded successfully",
+        mode: req.mode,
         file: {
           id: fileId,
           filename,
@@ -177,129 +282,295 @@ router.post(
       });
     } catch (error) {
       console.error("File upload error:", error);
+      res.locals.errorMessage = error.message;
       res.status(500).json({ error: "Internal server error" });
     }
   }
 );
 
 // Analytics API Routes
-router.get("/analytics/usage", async (req, res) => {
-  try {
-    res.json({
-      message: "Usage statistics retrieved successfully",
-      stats: {
-        totalRequests: 150,
-        successfulRequests: 145,
-        failedRequests: 5,
-        averageResponseTime: 250,
-        last24Hours: {
-          requests: 25,
-          errors: 1,
+// Computed from the calling key's project and mode. The response shapes are
+// stable: dashboards depend on them, so only add fields
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// UsageLog filter for the calling key's project and mode
+const buildOwnLogFilter = (req) => ({
+  projectId: new mongoose.Types.ObjectId(req.projectId),
+  // Logs written before test mode existed have no mode and count as live
+  mode: req.mode === "test" ? "test" : { $ne: "test" },
+});
+
+// $sum accumulator counting the logs that match a condition
+const countWhere = (condition) => ({ $sum: { $cond: [condition, 1, 0] } });
+
+// Rollup filter for the calling key's project and mode (logs written before
+// test mode existed were rolled up as live)
+const buildOwnRollupFilter = (req) => ({
+  projectId: req.projectId,
+  mode: req.mode === "test" ? "test" : "live",
+});
+
+// Rollup totals cover the same days as the retained usage logs, from the
+// start of the UTC day 90 days ago
+const getRetentionStart = () =>
+  new Date(Date.now() - USAGE_LOG_RETENTION_SECONDS * 1000);
+
+const formatPercentage = (value) => `${Math.round(value * 10) / 10}%`;
+
+const formatMegabytes = (bytes) =>
+  `${Math.round((bytes / (1024 * 1024)) * 100) / 100}MB`;
+
+router.get(
+  "/analytics/usage",
+  requireScope("analytics:read"),
+  async (req, res) => {
+    try {
+      // Totals cover every retained log (usage logs are kept 90 days); only
+      // the last24Hours counts are limited to the last 24 (whole) hours
+      const filter = buildOwnRollupFilter(req);
+      const [dailyRollups, hourlyRollups] = await Promise.all([
+        findRollups("day", filter, getRetentionStart()),
+        findRollups("hour", filter, new Date(Date.now() - DAY_MS)),
+      ]);
+      const [stats] = summarizeRollups(dailyRollups).values();
+      const [recent] = summarizeRollups(hourlyRollups).values();
+
+      res.json({
+        message: "Usage statistics retrieved successfully",
+        stats: {
+          totalRequests: stats?.calls || 0,
+          successfulRequests: stats ? stats.calls - stats.errors : 0,
+          failedRequests: stats?.errors || 0,
+          averageResponseTime: stats ? Math.round(stats.avgResponseTime) : null,
+          last24Hours: {
+            requests: recent?.calls || 0,
+            errors: recent?.errors || 0,
+          },
         },
-      },
-      timestamp: new Date().toISOString(),
-    });
-  } catch (error) {
-    console.error("Analytics usage error:", error);
-    res.status(500).json({ error: "Internal server error" });
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      console.error("Analytics usage error:", error);
+      res.locals.errorMessage = error.message;
+      res.status(500).json({ error: "Internal server error" });
+    }
   }
-});
+);
 
-router.get("/analytics/performance", async (req, res) => {
-  try {
-    res.json({
-      message: "Performance metrics retrieved successfully",
-      metrics: {
-        uptime: "99.9%",
-        averageResponseTime: 250,
-        p95ResponseTime: 500,
-        p99ResponseTime: 1000,
-        requestsPerSecond: 10,
-        memoryUsage: "45%",
-        cpuUsage: "30%",
-      },
-      timestamp: new Date().toISOString(),
-    });
-  } catch (error) {
-    console.error("Analytics performance error:", error);
-    res.status(500).json({ error: "Internal server error" });
+router.get(
+  "/analytics/performance",
+  requireScope("analytics:read"),
+  async (req, res) => {
+    try {
+      // The calling project's own calls over the last 24 hours
+      const [stats] = await UsageLog.aggregate([
+        {
+          $match: {
+            ...buildOwnLogFilter(req),
+            timestamp: { $gte: new Date(Date.now() - DAY_MS) },
+          },
+        },
+        {
+          $group: {
+            _id: null,
+            calls: { $sum: 1 },
+            serverErrors: countWhere({ $gte: ["$statusCode", 500] }),
+            averageResponseTime: { $avg: "$responseTime" },
+            latency: latencyPercentiles(),
+          },
+        },
+      ]);
+      const latency = formatLatencyPercentiles(stats?.latency);
+
+      res.json({
+        message: "Performance metrics retrieved successfully",
+        metrics: {
+          // Not measured uptime: the share of calls that didn't fail with a
+          // 5xx status (kept under this name, see API_KEY_SYSTEM.md)
+          uptime: stats
+            ? formatPercentage((1 - stats.serverErrors / stats.calls) * 100)
+            : null,
+          averageResponseTime: stats
+            ? Math.round(stats.averageResponseTime)
+            : null,
+          p50ResponseTime: latency.p50,
+          p90ResponseTime: latency.p90,
+          p95ResponseTime: latency.p95,
+          p99ResponseTime: latency.p99,
+          requestsPerSecond:
+            Math.round(((stats?.calls || 0) / (DAY_MS / 1000)) * 10000) / 10000,
+          // Host metrics would expose other projects' load on the shared
+          // server, so they aren't reported (kept for the response shape)
+          memoryUsage: null,
+          cpuUsage: null,
+        },
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      console.error("Analytics performance error:", error);
+      res.locals.errorMessage = error.message;
+      res.status(500).json({ error: "Internal server error" });
+    }
   }
-});
+);
 
-router.get("/analytics/project/:projectId", async (req, res) => {
-  try {
-    const { projectId } = req.params;
+router.get(
+  "/analytics/project/:projectId",
+  requireScope("analytics:read"),
+  async (req, res) => {
+    try {
+      const { projectId } = req.params;
+
+      // Keys can only read their own project's analytics
+      if (projectId !== req.projectId.toString()) {
+        return res.status(403).json({
+          error: "Project not allowed",
+          code: "project_mismatch",
+          message: "This API key can only read its own project's analytics",
+        });
+      }
 
-    res.json({
-      message: "Project analytics retrieved successfully",
-      projectId,
-      analytics: {
-        totalApiCalls: 100,
-        authCalls: 30,
-        databaseCalls: 50,
-        storageCalls: 20,
-        lastActivity: new Date().toISOString(),
-        monthlyUsage: {
-          requests: 1000,
-          storage: "50MB",
-          bandwidth: "200MB",
+      // Monthly usage covers the calendar month in UTC, like the monthly quota
+      const now = new Date();
+      const monthStart = new Date(
+        Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1)
+      );
+      const filter = buildOwnRollupFilter(req);
+      const [rollups, lastLog] = await Promise.all([
+        findRollups("day", filter, getRetentionStart()),
+        UsageLog.findOne(buildOwnLogFilter(req))
+          .sort({ timestamp: -1 })
+          .select("timestamp")
+          .lean(),
+      ]);
+
+      const callsUnder = (path) =>
+        rollups
+          .filter((rollup) => rollup.endpoint.startsWith(path))
+          .reduce((sum, rollup) => sum + rollup.count, 0);
+      const [month] = summarizeRollups(
+        rollups.filter((rollup) => rollup.bucketStart >= monthStart)
+      ).values();
+      // Bytes of successful uploads
+      const [uploads] = summarizeRollups(
+        rollups.filter(
+          (rollup) =>
+            rollup.bucketStart >= monthStart &&
+            rollup.endpoint === "/api/storage/upload" &&
+            !["4xx", "5xx"].includes(rollup.statusClass)
+        )
+      ).values();
+
+      res.json({
+        message: "Project analytics retrieved successfully",
+        projectId,
+        analytics: {
+          totalApiCalls: callsUnder(""),
+          authCalls: callsUnder("/api/auth/"),
+          databaseCalls: callsUnder("/api/db/"),
+          storageCalls: callsUnder("/api/storage/"),
+          lastActivity: lastLog?.timestamp.toISOString() || null,
+          monthlyUsage: {
+            requests: month?.calls || 0,
+            storage: formatMegabytes(uploads?.requestBytes || 0),
+            // Bytes received and sent
+            bandwidth: formatMegabytes(
+              (month?.requestBytes || 0) + (month?.responseBytes || 0)
+            ),
+          },
         },
-      },
-      timestamp: new Date().toISOString(),
-    });
-  } catch (error) {
-    console.error("Project analytics error:", error);
-    res.status(500).json({ error: "Internal server error" });
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      console.error("Project analytics error:", error);
+      res.locals.errorMessage = error.message;
+      res.status(500).json({ error: "Internal server error" });
+    }
   }
-});
+);
 
 // Storage API Routes
-router.get("/storage/list", async (req, res) => {
+router.get("/storage/list", requireScope("storage:read"), async (req, res) => {
   try {
     res.json({
       message: "Files listed successfully",
+      mode: req.mode,
       files: [
         {
           id: "file_1",
           filename: "document.pdf",
           size: 1024000,
           uploadedAt: new Date().toISOString(),
-          url: "https://storage.example.com/files/file_1",
+          url: storageUrl(req, "files/file_1"),
         },
         {
           id: "file_2",
           filename: "image.jpg",
           size: 512000,
           uploadedAt: new Date().toISOString(),
-          url: "https://storage.example.com/files/file_2",
+          url: storageUrl(req, "files/file_2"),
         },
       ],
       count: 2,
     });
   } catch (error) {
     console.error("Storage list error:", error);
+    res.locals.errorMessage = error.message;
     res.status(500).json({ error: "Internal server error" });
   }
 });
 
-router.get("/storage/download/:filename", async (req, res) => {
-  try {
-    const { filename } = req.params;
+router.get(
+  "/storage/download/:filename",
+  requireScope("storage:read"),
+  async (req, res) => {
+    try {
+      const { filename } = req.params;
 
-    res.json({
-      message: "File download initiated successfully",
-      file: {
-        filename,
-        url: `https://storage.example.com/files/${filename}`,
-        downloadUrl: `https://storage.example.com/download/${filename}`,
-        expiresAt: new Date(Date.now() + 3600000).toISOString(), // 1 hour
-      },
-    });
-  } catch (error) {
-    console.error("Storage download error:", error);
-    res.status(500).json({ error: "Internal server error" });
+      res.json({
+        message: "File download initiated successfully",
+        mode: req.mode,
+        file: {
+          filename,
+          url: storageUrl(req, `files/${filename}`),
+          downloadUrl: storageUrl(req, `download/${filename}`),
+          expiresAt: new Date(Date.now() + 3600000).toISOString(), // 1 hour
+        },
+      });
+    } catch (error) {
+      console.error("Storage download error:", error);
+      res.locals.errorMessage = error.message;
+      res.status(500).json({ error: "Internal server error" });
+    }
   }
-});
+);
+
+router.delete(
+  "/storage/files/:fileId",
+  requireScope("storage:write"),
+  requireSecretKey,
+  async (req, res) => {
+    try {
+      const { fileId } = req.params;
+
+      // Simulate file deletion
+      res.json({
+        message: "File deleted successfully",
+        mode: req.mode,
+        file: {
+          id: fileId,
+          url: storageUrl(req, `files/${fileId}`),
+          deletedAt: new Date().toISOString(),
+        },
+      });
+    } catch (error) {
+      console.error("Storage delete error:", error);
+      res.locals.errorMessage = error.message;
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
 
 // API Information endpoint (no auth required for info)
 router.get("/info", optionalApiKey, async (req, res) => {
@@ -316,9 +587,11 @@ router.get("/info", optionalApiKey, async (req, res) => {
       name: `Project ${req.projectId}`,
     };
     response.apiKey = {
-      id: req.apiKey.substring(0, 20) + "...",
-      name: "API Key",
-      permissions: ["auth", "database", "storage"],
+      id: req.apiKey._id,
+      name: req.apiKey.name,
+      type: req.apiKey.type,
+      mode: req.apiKey.mode,
+      scopes: req.apiKey.scopes,
     };
   } else {
     response.note = "Testing mode - no API key provided";
@@ -328,6 +601,9 @@ router.get("/info", optionalApiKey, async (req, res) => {
       "GET /api/db/query - Query database records",
       "POST /api/db/insert - Insert new record",
       "POST /api/storage/upload - Upload file",
+      "GET /api/auth/users - List users (secret key)",
+      "DELETE /api/auth/users/:userId - Delete user (secret key)",
+      "DELETE /api/storage/files/:fileId - Delete file (secret key)",
       "GET /api/info - API information",
     ];
   }
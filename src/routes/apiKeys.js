@@ -1,17 +1,173 @@
 import express from "express";
 import { body, validationResult } from "express-validator";
 import { authenticateToken } from "../middleware/auth.js";
+import { generateApiKeyForMode } from "../utils/apiKeyGenerator.js";
+import { isValidIpOrCidr } from "../utils/ipAllowlist.js";
+import { isValidOrigin, normalizeOrigin } from "../utils/origins.js";
 import {
-  generateProductionApiKey,
-  maskApiKey,
-} from "../utils/apiKeyGenerator.js";
+  API_KEY_SCOPES,
+  DEFAULT_API_KEY_SCOPES,
+  mapPermissionsToScopes,
+} from "../utils/scopes.js";
+import {
+  getApiKeyCacheTtl,
+  invalidateApiKeyCache,
+  invalidateProjectApiKeyCache,
+} from "../middleware/apiKeyAuth.js";
+import { clearKeySightings } from "../utils/leakDetection.js";
+import { deriveSigningSecret } from "../utils/requestSigning.js";
 import ApiKey from "../models/ApiKey.js";
+import KeyRevocation from "../models/KeyRevocation.js";
 import Project from "../models/Project.js";
 
 const router = express.Router();
 
+// How long the old secret keeps working after a rotation
+const DEFAULT_ROTATION_GRACE_HOURS = 24;
+const MAX_ROTATION_GRACE_HOURS = 30 * 24;
+
+// Upper bound for key lifetimes set with expiresInDays
+const MAX_EXPIRY_DAYS = 365 * 2;
+// Default look-ahead window for the "expiring soon" list
+const DEFAULT_EXPIRING_WITHIN_DAYS = 7;
+// Upper bound for IP allowlist entries per key
+const MAX_ALLOWED_IPS = 100;
+// Upper bound for allowed origins per key
+const MAX_ALLOWED_ORIGINS = 100;
+
+// Scopes (resource:action). Legacy coarse permissions are still accepted and
+// mapped to the equivalent scopes.
+const validateApiKeyScopes = [
+  body("scopes").optional().isArray().withMessage("Scopes must be an array"),
+  body("scopes.*")
+    .isIn(API_KEY_SCOPES)
+    .withMessage(`Each scope must be one of: ${API_KEY_SCOPES.join(", ")}`),
+  body("permissions")
+    .optional()
+    .isArray()
+    .withMessage("Permissions must be an array"),
+  body("permissions.*")
+    .isIn(["auth", "database", "storage", "analytics"])
+    .withMessage(
+      "Each permission must be one of: auth, database, storage, analytics"
+    ),
+];
+
+/**
+ * Resolve the requested scopes from the request body
+ * @param {object} body - The request body
+ * @returns {string[]|undefined} The scopes, or undefined if not provided
+ */
+const resolveScopes = ({ scopes, permissions }) => {
+  if (scopes !== undefined) {
+    return scopes;
+  }
+  if (permissions !== undefined) {
+    return mapPermissionsToScopes(permissions);
+  }
+  return undefined;
+};
+
+// Optional expiry: an absolute date, or a number of days from now
+const validateApiKeyExpiry = [
+  body("expiresAt")
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage("Expiry must be a valid date")
+    .bail()
+    .custom((value) => new Date(value) > new Date())
+    .withMessage("Expiry must be in the future"),
+  body("expiresInDays")
+    .optional()
+    .isInt({ min: 1, max: MAX_EXPIRY_DAYS })
+    .withMessage(`Expiry must be between 1 and ${MAX_EXPIRY_DAYS} days`),
+];
+
+// Optional IP allowlist: IPv4/IPv6 addresses and CIDR ranges
+const validateApiKeyAllowedIps = [
+  body("allowedIps")
+    .optional()
+    .isArray({ max: MAX_ALLOWED_IPS })
+    .withMessage(`Allowed IPs must be an array of at most ${MAX_ALLOWED_IPS}`),
+  body("allowedIps.*")
+    .trim()
+    .custom(isValidIpOrCidr)
+    .withMessage("Each allowed IP must be an IPv4/IPv6 address or CIDR range"),
+];
+
+// Optional origin lock: browser origins allowed to use the key
+const validateApiKeyAllowedOrigins = [
+  body("allowedOrigins")
+    .optional()
+    .isArray({ max: MAX_ALLOWED_ORIGINS })
+    .withMessage(
+      `Allowed origins must be an array of at most ${MAX_ALLOWED_ORIGINS}`
+    ),
+  body("allowedOrigins.*")
+    .custom(isValidOrigin)
+    .withMessage(
+      "Each allowed origin must be an http(s) origin like https://app.example.com"
+    )
+    .customSanitizer(normalizeOrigin),
+];
+
+// Optional per-key rate limit and monthly quota (null inherits from the project)
+const validateApiKeyRateLimit = [
+  body("rateLimit")
+    .optional()
+    .isObject()
+    .withMessage("Rate limit must be an object"),
+  body("rateLimit.perMinute")
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage("Rate limit per minute must be a positive integer or null")
+    .toInt(),
+  body("rateLimit.perMonth")
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage("Monthly quota must be a positive integer or null")
+    .toInt(),
+];
+
+/**
+ * Default name for a new key
+ * @param {string} mode - 'live' or 'test'
+ * @param {string} type - 'publishable' or 'secret'
+ * @returns {string} The default key name
+ */
+const defaultKeyName = (mode, type) => {
+  const base = mode === "test" ? "Test" : "Production";
+  return type === "secret" ? `${base} Secret Key` : `${base} Key`;
+};
+
+/**
+ * Resolve the requested expiry from the request body
+ * @param {object} body - The request body
+ * @returns {Date|null|undefined} The expiry date, null to clear it, or undefined if not provided
+ */
+const resolveExpiry = ({ expiresAt, expiresInDays }) => {
+  if (expiresInDays !== undefined) {
+    return new Date(Date.now() + parseInt(expiresInDays) * 24 * 60 * 60 * 1000);
+  }
+  if (expiresAt === null) {
+    return null;
+  }
+  if (expiresAt !== undefined) {
+    return new Date(expiresAt);
+  }
+  return undefined;
+};
+
 // Validation middleware
 const validateApiKeyCreation = [
+  body("mode")
+    .optional()
+    .isIn(["live", "test"])
+    .withMessage("Mode must be one of: live, test"),
+  body("type")
+    .optional()
+    .isIn(["publishable", "secret"])
+    .withMessage("Type must be one of: publishable, secret"),
   body("projectId").isMongoId().withMessage("Valid project ID is required"),
   body("name")
     .optional()
@@ -23,14 +179,11 @@ const validateApiKeyCreation = [
     .trim()
     .isLength({ max: 500 })
     .withMessage("Description must not exceed 500 characters"),
-  body("permissions")
-    .optional()
-    .isArray()
-    .withMessage("Permissions must be an array"),
-  body("permissions.*")
-    .optional()
-    .isIn(["auth", "database", "storage"])
-    .withMessage("Each permission must be one of: auth, database, storage"),
+  ...validateApiKeyScopes,
+  ...validateApiKeyExpiry,
+  ...validateApiKeyAllowedIps,
+  ...validateApiKeyAllowedOrigins,
+  ...validateApiKeyRateLimit,
 ];
 
 // Generate API key
@@ -48,7 +201,16 @@ router.post(
         });
       }
 
-      const { projectId, name, description, permissions } = req.body;
+      const {
+        projectId,
+        mode = "live",
+        type = "publishable",
+        name,
+        description,
+        allowedIps,
+        allowedOrigins,
+        rateLimit,
+      } = req.body;
 
       // Verify project belongs to user
       const project = await Project.findOne({
@@ -64,28 +226,36 @@ router.post(
         });
       }
 
-      // Generate secure API key
-      const key = generateProductionApiKey();
+      // Generate secure API key (pk_live_, pk_test_, sk_live_ or sk_test_)
+      const key = generateApiKeyForMode(mode, type);
 
-      // Create API key
-      const apiKey = await ApiKey.create({
+      // Create API key (only its hash is stored)
+      const apiKey = new ApiKey({
         projectId,
-        key,
-        name: name || "Production Key",
+        mode,
+        type,
+        name: name || defaultKeyName(mode, type),
         description: description || "",
-        permissions: permissions || ["auth", "database"],
+        scopes: resolveScopes(req.body) || DEFAULT_API_KEY_SCOPES,
         isActive: true,
+        expiresAt: resolveExpiry(req.body) || null,
+        allowedIps: allowedIps || [],
+        allowedOrigins: allowedOrigins || [],
+        rateLimit: rateLimit || {},
       });
+      apiKey.setKey(key);
+      await apiKey.save();
 
       // Return the full key only once during creation
       const responseData = apiKey.toJSON();
-      responseData.key = apiKey.getFullKey(); // Override the masked key with full key
+      responseData.key = key; // Override the masked key with full key
+      responseData.signingSecret = deriveSigningSecret(apiKey.keyHash);
 
       res.status(201).json({
         message: "API key generated successfully",
         apiKey: responseData,
         warning:
-          "Save this API key securely. You won't be able to see it again.",
+          "Save this API key and its signing secret securely. You won't be able to see them again.",
       });
     } catch (error) {
       console.error("Generate API key error:", error);
@@ -123,13 +293,52 @@ router.get("/project/:projectId", authenticateToken, async (req, res) => {
       });
     }
 
+    const expiringWithinDays = Math.max(
+      parseInt(req.query.expiringWithinDays) || DEFAULT_EXPIRING_WITHIN_DAYS,
+      1
+    );
+
     const apiKeys = await ApiKey.find({ projectId })
-      .select("-key") // Don't expose full keys in list
+      .select("-keyHash") // Don't expose key digests in list
       .sort({ createdAt: -1 });
 
+    // Active keys that will expire within the look-ahead window
+    const now = new Date();
+    const horizon = new Date(
+      now.getTime() + expiringWithinDays * 24 * 60 * 60 * 1000
+    );
+    const expiringSoon = apiKeys
+      .filter(
+        (apiKey) =>
+          apiKey.isActive &&
+          apiKey.expiresAt &&
+          apiKey.expiresAt > now &&
+          apiKey.expiresAt <= horizon
+      )
+      .map((apiKey) => ({
+        id: apiKey._id,
+        name: apiKey.name,
+        key: apiKey.maskedKey,
+        expiresAt: apiKey.expiresAt,
+      }));
+
+    // Active keys flagged by leak detection
+    const possiblyLeaked = apiKeys
+      .filter((apiKey) => apiKey.isActive && apiKey.leakSuspectedAt)
+      .map((apiKey) => ({
+        id: apiKey._id,
+        name: apiKey.name,
+        key: apiKey.maskedKey,
+        leakSuspectedAt: apiKey.leakSuspectedAt,
+        networks: apiKey.leakSuspectedNetworks,
+      }));
+
     res.json({
       message: "API keys retrieved successfully",
       apiKeys,
+      expiringSoon,
+      expiringWithinDays,
+      possiblyLeaked,
       project: {
         id: project._id,
         name: project.name,
@@ -144,6 +353,197 @@ router.get("/project/:projectId", authenticateToken, async (req, res) => {
   }
 });
 
+// Revoke every key of a project at once, e.g. after a leak
+router.post(
+  "/project/:projectId/revoke-all",
+  [
+    body("reason")
+      .trim()
+      .notEmpty()
+      .withMessage("A reason is required")
+      .isLength({ max: 500 })
+      .withMessage("Reason must not exceed 500 characters"),
+    body("createReplacement")
+      .optional()
+      .isBoolean()
+      .withMessage("createReplacement must be a boolean")
+      .toBoolean(),
+    body("replacement")
+      .optional()
+      .isObject()
+      .withMessage("Replacement must be an object"),
+    body("replacement.mode")
+      .optional()
+      .isIn(["live", "test"])
+      .withMessage("Replacement mode must be one of: live, test"),
+    body("replacement.type")
+      .optional()
+      .isIn(["publishable", "secret"])
+      .withMessage("Replacement type must be one of: publishable, secret"),
+    body("replacement.name")
+      .optional()
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage("Replacement name must be between 1 and 100 characters"),
+  ],
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: "Validation failed",
+          details: errors.array(),
+        });
+      }
+
+      const { projectId } = req.params;
+      const { reason, createReplacement = false, replacement = {} } = req.body;
+
+      // Verify project belongs to user
+      const project = await Project.findOne({
+        _id: projectId,
+        owner: req.user._id,
+      });
+
+      if (!project) {
+        return res.status(404).json({
+          error: "Project not found",
+          message:
+            "The specified project does not exist or you don't have access to it",
+        });
+      }
+
+      const activeKeys = await ApiKey.find({ projectId, isActive: true })
+        .select("_id")
+        .lean();
+      const revokedKeyIds = activeKeys.map((apiKey) => apiKey._id);
+
+      await ApiKey.updateMany(
+        { _id: { $in: revokedKeyIds } },
+        {
+          isActive: false,
+          revokedAt: new Date(),
+          revokedBy: req.user._id,
+          revokeReason: reason,
+        }
+      );
+
+      // Old secrets from rotations must stop working as well
+      const { modifiedCount: gracePeriodsEnded } = await ApiKey.updateMany(
+        { projectId, previousKeyHash: { $ne: null } },
+        {
+          previousKeyHash: null,
+          previousKeyPrefix: null,
+          previousLastFour: null,
+          previousKeyExpiresAt: null,
+        }
+      );
+
+      invalidateProjectApiKeyCache(projectId);
+
+      // Optionally issue a single fresh key to switch clients over to
+      let replacementKey = null;
+      if (createReplacement) {
+        const mode = replacement.mode || "live";
+        const type = replacement.type || "publishable";
+        const key = generateApiKeyForMode(mode, type);
+
+        const apiKey = new ApiKey({
+          projectId,
+          mode,
+          type,
+          name: replacement.name || defaultKeyName(mode, type),
+          scopes: DEFAULT_API_KEY_SCOPES,
+          isActive: true,
+        });
+        apiKey.setKey(key);
+        await apiKey.save();
+
+        replacementKey = apiKey.toJSON();
+        replacementKey.key = key; // Full key shown only once
+        replacementKey.signingSecret = deriveSigningSecret(apiKey.keyHash);
+      }
+
+      const revocation = await KeyRevocation.create({
+        projectId,
+        revokedBy: req.user._id,
+        reason,
+        revokedKeyIds,
+        gracePeriodsEnded,
+        replacementKeyId: replacementKey?._id || null,
+      });
+
+      res.json({
+        message: "All API keys revoked successfully",
+        revocation,
+        revokedCount: revokedKeyIds.length,
+        gracePeriodsEnded,
+        // Other instances drop their cached copies of the keys within this time
+        propagationSeconds: Math.ceil(getApiKeyCacheTtl() / 1000),
+        replacementKey,
+        ...(replacementKey && {
+          warning:
+            "Save this API key and its signing secret securely. You won't be able to see them again.",
+        }),
+      });
+    } catch (error) {
+      console.error("Revoke all API keys error:", error);
+      if (error.name === "CastError") {
+        return res.status(400).json({
+          error: "Invalid project ID",
+          message: "The provided project ID is not valid",
+        });
+      }
+      res.status(500).json({
+        error: "Internal server error",
+        message: "Failed to revoke API keys",
+      });
+    }
+  }
+);
+
+// List project-wide revocations, newest first
+router.get(
+  "/project/:projectId/revocations",
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const { projectId } = req.params;
+
+      // Verify project belongs to user
+      const project = await Project.findOne({
+        _id: projectId,
+        owner: req.user._id,
+      });
+
+      if (!project) {
+        return res.status(404).json({
+          error: "Project not found",
+          message:
+            "The specified project does not exist or you don't have access to it",
+        });
+      }
+
+      const revocations = await KeyRevocation.find({ projectId })
+        .populate("revokedBy", "username email")
+        .sort({ createdAt: -1 })
+        .limit(100);
+
+      res.json({
+        message: "Revocations retrieved successfully",
+        revocations,
+      });
+    } catch (error) {
+      console.error("List revocations error:", error);
+      res.status(500).json({
+        error: "Internal server error",
+        message: "Failed to retrieve revocations",
+      });
+    }
+  }
+);
+
 // Get single API key details (without full key)
 router.get("/:keyId", authenticateToken, async (req, res) => {
   try {
@@ -172,6 +572,7 @@ router.get("/:keyId", authenticateToken, async (req, res) => {
     res.json({
       message: "API key retrieved successfully",
       apiKey: apiKey.toJSON(), // This will mask the key
+      rotation: apiKey.getRotationStatus(),
     });
   } catch (error) {
     console.error("Get API key error:", error);
@@ -202,18 +603,15 @@ router.put(
       .trim()
       .isLength({ max: 500 })
       .withMessage("Description must not exceed 500 characters"),
-    body("permissions")
-      .optional()
-      .isArray()
-      .withMessage("Permissions must be an array"),
-    body("permissions.*")
-      .optional()
-      .isIn(["auth", "database", "storage"])
-      .withMessage("Each permission must be one of: auth, database, storage"),
+    ...validateApiKeyScopes,
     body("isActive")
       .optional()
       .isBoolean()
       .withMessage("isActive must be a boolean"),
+    ...validateApiKeyExpiry,
+    ...validateApiKeyAllowedIps,
+    ...validateApiKeyAllowedOrigins,
+    ...validateApiKeyRateLimit,
   ],
   authenticateToken,
   async (req, res) => {
@@ -227,7 +625,14 @@ router.put(
       }
 
       const { keyId } = req.params;
-      const { name, description, permissions, isActive } = req.body;
+      const {
+        name,
+        description,
+        isActive,
+        allowedIps,
+        allowedOrigins,
+        rateLimit,
+      } = req.body;
 
       const apiKey = await ApiKey.findById(keyId).populate(
         "projectId",
@@ -252,10 +657,37 @@ router.put(
       // Update fields
       if (name !== undefined) apiKey.name = name;
       if (description !== undefined) apiKey.description = description;
-      if (permissions !== undefined) apiKey.permissions = permissions;
+      const scopes = resolveScopes(req.body);
+      if (scopes !== undefined) {
+        apiKey.scopes = scopes;
+        apiKey.permissions = undefined; // scopes replace legacy permissions
+      }
       if (isActive !== undefined) apiKey.isActive = isActive;
+      if (isActive === true) {
+        apiKey.revokedAt = null;
+        apiKey.revokedBy = null;
+        apiKey.revokeReason = null;
+      }
+      if (allowedIps !== undefined) apiKey.allowedIps = allowedIps;
+      if (allowedOrigins !== undefined) apiKey.allowedOrigins = allowedOrigins;
+      if (rateLimit?.perMinute !== undefined) {
+        apiKey.rateLimit.perMinute = rateLimit.perMinute;
+      }
+      if (rateLimit?.perMonth !== undefined) {
+        apiKey.rateLimit.perMonth = rateLimit.perMonth;
+      }
+      const expiresAt = resolveExpiry(req.body);
+      if (expiresAt !== undefined) apiKey.expiresAt = expiresAt;
+
+      if (apiKey.isActive && apiKey.isExpired()) {
+        return res.status(400).json({
+          error: "API key expired",
+          message: "Set a new expiry date to reactivate an expired API key",
+        });
+      }
 
       await apiKey.save();
+      invalidateApiKeyCache(apiKey._id);
 
       res.json({
         message: "API key updated successfully",
@@ -277,6 +709,106 @@ router.put(
   }
 );
 
+// Rotate API key - issues a new secret, keeping the old one valid for a grace period
+router.post(
+  "/:keyId/rotate",
+  [
+    body("gracePeriodHours")
+      .optional()
+      .isInt({ min: 0, max: MAX_ROTATION_GRACE_HOURS })
+      .withMessage(
+        `Grace period must be between 0 and ${MAX_ROTATION_GRACE_HOURS} hours`
+      ),
+  ],
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: "Validation failed",
+          details: errors.array(),
+        });
+      }
+
+      const { keyId } = req.params;
+      const gracePeriodHours =
+        req.body.gracePeriodHours !== undefined
+          ? parseInt(req.body.gracePeriodHours)
+          : DEFAULT_ROTATION_GRACE_HOURS;
+
+      const apiKey = await ApiKey.findById(keyId).populate(
+        "projectId",
+        "owner"
+      );
+
+      if (!apiKey) {
+        return res.status(404).json({
+          error: "API key not found",
+          message: "The specified API key does not exist",
+        });
+      }
+
+      // Verify user owns the project
+      if (apiKey.projectId.owner.toString() !== req.user._id.toString()) {
+        return res.status(403).json({
+          error: "Access denied",
+          message: "You don't have permission to rotate this API key",
+        });
+      }
+
+      if (!apiKey.isActive || apiKey.isExpired()) {
+        return res.status(400).json({
+          error: "API key inactive",
+          message: "Deactivated or expired API keys cannot be rotated",
+        });
+      }
+
+      // Generate the new secret; name and scopes stay the same
+      const key = generateApiKeyForMode(apiKey.mode, apiKey.type);
+      apiKey.rotateKey(key, gracePeriodHours * 60 * 60 * 1000);
+      // Networks seen so far were using the replaced secret
+      apiKey.clearLeakSuspicion();
+
+      await apiKey.save();
+      invalidateApiKeyCache(apiKey._id);
+      await clearKeySightings(apiKey._id);
+
+      // Return the new full key only once
+      const responseData = apiKey.toJSON();
+      responseData.key = key;
+      responseData.signingSecret = deriveSigningSecret(apiKey.keyHash);
+
+      res.json({
+        message: "API key rotated successfully",
+        apiKey: responseData,
+        rotation: apiKey.getRotationStatus(),
+        warning:
+          "Save this API key and its signing secret securely. You won't be able to see them again.",
+      });
+    } catch (error) {
+      console.error("Rotate API key error:", error);
+      if (error.name === "CastError") {
+        return res.status(400).json({
+          error: "Invalid API key ID",
+          message: "The provided API key ID is not valid",
+        });
+      }
+      if (error.code === 11000) {
+        return res.status(409).json({
+          error: "Duplicate API key",
+          message:
+            "A key with this identifier already exists. Please try again.",
+        });
+      }
+      res.status(500).json({
+        error: "Internal server error",
+        message: "Failed to rotate API key",
+      });
+    }
+  }
+);
+
 // Delete API key
 router.delete("/:keyId", authenticateToken, async (req, res) => {
   try {
@@ -300,6 +832,7 @@ router.delete("/:keyId", authenticateToken, async (req, res) => {
     }
 
     await ApiKey.findByIdAndDelete(keyId);
+    invalidateApiKeyCache(keyId);
 
     res.json({
       message: "API key deleted successfully",
@@ -2,9 +2,72 @@ import express from "express";
 import { body, validationResult } from "express-validator";
 import { authenticateToken } from "../middleware/auth.js";
 import Project from "../models/Project.js";
+import { invalidatePreflightOriginCache } from "../middleware/dynamicCors.js";
+import { invalidateProjectCache } from "../utils/projectCache.js";
+import { isValidOrigin, normalizeOrigin } from "../utils/origins.js";
 
 const router = express.Router();
 
+// Upper bound for allowed origins per project
+const MAX_ALLOWED_ORIGINS = 100;
+
+// Optional list of browser origins allowed to call /api for the project
+const validateAllowedOrigins = [
+  body("allowedOrigins")
+    .optional()
+    .isArray({ max: MAX_ALLOWED_ORIGINS })
+    .withMessage(
+      `Allowed origins must be an array of at most ${MAX_ALLOWED_ORIGINS}`
+    ),
+  body("allowedOrigins.*")
+    .custom(isValidOrigin)
+    .withMessage(
+      "Each allowed origin must be an http(s) origin like https://app.example.com"
+    )
+    .customSanitizer(normalizeOrigin),
+];
+
+// Optional default rate limit and monthly quota for the project's API keys
+const validateRateLimit = [
+  body("rateLimit")
+    .optional()
+    .isObject()
+    .withMessage("Rate limit must be an object"),
+  body("rateLimit.perMinute")
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage("Rate limit per minute must be a positive integer or null")
+    .toInt(),
+  body("rateLimit.perMonth")
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage("Monthly quota must be a positive integer or null")
+    .toInt(),
+];
+
+// Optional detection of keys used from many unrelated networks
+const validateLeakDetection = [
+  body("leakDetection")
+    .optional()
+    .isObject()
+    .withMessage("Leak detection must be an object"),
+  body("leakDetection.enabled")
+    .optional()
+    .isBoolean()
+    .withMessage("leakDetection.enabled must be a boolean")
+    .toBoolean(),
+  body("leakDetection.maxNetworks")
+    .optional()
+    .isInt({ min: 2, max: 10000 })
+    .withMessage("leakDetection.maxNetworks must be between 2 and 10000")
+    .toInt(),
+  body("leakDetection.windowHours")
+    .optional()
+    .isInt({ min: 1, max: 24 * 7 })
+    .withMessage("leakDetection.windowHours must be between 1 and 168")
+    .toInt(),
+];
+
 // Create a new project
 router.post(
   "/",
@@ -29,6 +92,10 @@ router.post(
     body("addAuth").optional().isBoolean(),
     body("connectDatabase").optional().isBoolean(),
     body("manageApis").optional().isBoolean(),
+    body("requireSignedRequests").optional().isBoolean(),
+    ...validateAllowedOrigins,
+    ...validateRateLimit,
+    ...validateLeakDetection,
   ],
   authenticateToken,
   async (req, res) => {
@@ -48,6 +115,10 @@ router.post(
         addAuth = false,
         connectDatabase = false,
         manageApis = false,
+        requireSignedRequests = false,
+        allowedOrigins = [],
+        rateLimit = {},
+        leakDetection = {},
       } = req.body;
 
       const project = new Project({
@@ -58,6 +129,10 @@ router.post(
         addAuth: Boolean(addAuth),
         connectDatabase: Boolean(connectDatabase),
         manageApis: Boolean(manageApis),
+        requireSignedRequests: Boolean(requireSignedRequests),
+        allowedOrigins,
+        rateLimit,
+        leakDetection,
       });
 
       await project.save();
@@ -132,6 +207,10 @@ router.put(
     body("addAuth").optional().isBoolean(),
     body("connectDatabase").optional().isBoolean(),
     body("manageApis").optional().isBoolean(),
+    body("requireSignedRequests").optional().isBoolean(),
+    ...validateAllowedOrigins,
+    ...validateRateLimit,
+    ...validateLeakDetection,
   ],
   authenticateToken,
   async (req, res) => {
@@ -174,8 +253,27 @@ router.put(
       if (req.body.manageApis !== undefined) {
         project.manageApis = Boolean(req.body.manageApis);
       }
+      if (req.body.requireSignedRequests !== undefined) {
+        project.requireSignedRequests = Boolean(req.body.requireSignedRequests);
+      }
+      if (req.body.allowedOrigins !== undefined) {
+        project.allowedOrigins = req.body.allowedOrigins;
+      }
+      if (req.body.rateLimit?.perMinute !== undefined) {
+        project.rateLimit.perMinute = req.body.rateLimit.perMinute;
+      }
+      if (req.body.rateLimit?.perMonth !== undefined) {
+        project.rateLimit.perMonth = req.body.rateLimit.perMonth;
+      }
+      for (const field of ["enabled", "maxNetworks", "windowHours"]) {
+        if (req.body.leakDetection?.[field] !== undefined) {
+          project.leakDetection[field] = req.body.leakDetection[field];
+        }
+      }
 
       await project.save();
+      invalidateProjectCache(project._id);
+      invalidatePreflightOriginCache();
 
       res.json({
         message: "Project updated successfully",
@@ -206,6 +304,8 @@ router.delete("/:id", authenticateToken, async (req, res) => {
     }
 
     await Project.findByIdAndDelete(req.params.id);
+    invalidateProjectCache(req.params.id);
+    invalidatePreflightOriginCache();
 
     res.json({ message: "Project deleted successfully" });
   } catch (error) {
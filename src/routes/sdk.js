@@ -0,0 +1,428 @@
+import express from "express";
+import { body, validationResult } from "express-validator";
+import ApiKey from "../models/ApiKey.js";
+import ClientUsageEvent, {
+  CLIENT_USAGE_EVENT_RETENTION_SECONDS,
+} from "../models/ClientUsageEvent.js";
+import TelemetryEvent, {
+  TELEMETRY_EVENT_RETENTION_SECONDS,
+} from "../models/TelemetryEvent.js";
+import { getApiKeyType, hashApiKey } from "../utils/apiKeyGenerator.js";
+import { getCachedProject } from "../utils/projectCache.js";
+import { getRateLimitBudget } from "../middleware/rateLimit.js";
+import { checkKeyRestrictions } from "../middleware/apiKeyAuth.js";
+
+// Endpoints called by the NPM package. Mounted on /api ahead of the keyed
+// API routes, so they handle their own key checks.
+const router = express.Router();
+
+// Upper bound for events sent in one /usage/track or /telemetry request
+const MAX_EVENTS_PER_REQUEST = 100;
+// Events timestamped further in the future than this are rejected
+const MAX_EVENT_CLOCK_SKEW = 24 * 60 * 60 * 1000; // 1 day
+
+const HTTP_METHODS = [
+  "GET",
+  "POST",
+  "PUT",
+  "DELETE",
+  "PATCH",
+  "OPTIONS",
+  "HEAD",
+];
+
+/**
+ * Look up the API key sent by the NPM package (in the body or the x-api-key /
+ * x-project-id headers) and check it can be used for the project
+ * @param {object} req - The Express request
+ * @returns {Promise<{apiKey?: object, project?: object, isPreviousKey?: boolean, failure?: {status: number, body: object}}>} The key and project, or the failure response
+ */
+const resolveSdkApiKey = async (req) => {
+  const { projectId, apiKey } = req.body;
+
+  // Use header values if body values are not provided
+  const finalApiKey = apiKey || req.headers["x-api-key"];
+  const finalProjectId = projectId || req.headers["x-project-id"];
+
+  const fail = (status, body) => ({ failure: { status, body } });
+
+  if (!finalApiKey || !finalProjectId) {
+    return fail(400, {
+      error: "Missing API key or Project ID",
+      code: "credentials_missing",
+      message: "Both API key and Project ID are required",
+    });
+  }
+
+  if (typeof finalApiKey !== "string" || !getApiKeyType(finalApiKey)) {
+    return fail(401, {
+      error: "Invalid API key format",
+      code: "api_key_malformed",
+      message:
+        "API key must start with pk_live_, pk_test_, sk_live_ or sk_test_",
+    });
+  }
+
+  if (!/^[a-f0-9]{24}$/.test(finalProjectId)) {
+    return fail(400, {
+      error: "Invalid Project ID format",
+      code: "project_id_malformed",
+      message: "Project ID must be a valid MongoDB ObjectId",
+    });
+  }
+
+  const keyDoc = await ApiKey.findByKey(finalApiKey);
+  if (!keyDoc) {
+    return fail(401, {
+      error: "Invalid API key",
+      code: "api_key_invalid",
+      message: "The provided API key does not exist",
+    });
+  }
+
+  if (keyDoc.projectId.toString() !== finalProjectId) {
+    return fail(401, {
+      error: "Project mismatch",
+      code: "project_mismatch",
+      message: "The provided API key does not belong to this project",
+    });
+  }
+
+  const project = await getCachedProject(finalProjectId);
+  if (!project) {
+    return fail(404, {
+      error: "Project not found",
+      code: "project_not_found",
+      message: "The project for this API key no longer exists",
+    });
+  }
+
+  if (keyDoc.isExpired()) {
+    if (keyDoc.isActive) {
+      keyDoc.isActive = false;
+      await keyDoc.save();
+    }
+    return fail(401, {
+      error: "API key expired",
+      code: "api_key_expired",
+      message: "The provided API key has expired. Generate a new key.",
+      expiresAt: keyDoc.expiresAt,
+    });
+  }
+
+  if (!keyDoc.isActive) {
+    return fail(401, {
+      error: "API key deactivated",
+      code: "api_key_inactive",
+      message: "The provided API key has been deactivated",
+    });
+  }
+
+  return {
+    apiKey: keyDoc,
+    project,
+    // A rotated-out secret still validates during its grace period
+    isPreviousKey: keyDoc.previousKeyHash === hashApiKey(finalApiKey),
+  };
+};
+
+// Accept a single event (the original payload) or a batch in `events`.
+// Batch-level fields like anonymousId and packageVersion apply to every event.
+const normalizeEvents = (req, res, next) => {
+  const { events, apiKey, projectId, ...shared } = req.body || {};
+
+  req.body = {
+    apiKey,
+    projectId,
+    events: Array.isArray(events)
+      ? events.map((event) => ({ ...shared, ...event }))
+      : [shared],
+  };
+  next();
+};
+
+/**
+ * Validation for the fields shared by usage and telemetry events
+ * @param {number} retentionSeconds - How long the collection keeps events;
+ *   older events would be deleted as soon as they were stored, so they are rejected
+ * @returns {Array} The validation chains
+ */
+const validateEvents = (retentionSeconds) => [
+  body("events")
+    .isArray({ min: 1, max: MAX_EVENTS_PER_REQUEST })
+    .withMessage(
+      `Events must be an array of 1 to ${MAX_EVENTS_PER_REQUEST} events`
+    ),
+  body("events.*.eventId")
+    .optional()
+    .isString()
+    .withMessage("Event ID must be a string of 1 to 128 characters")
+    .bail()
+    .isLength({ min: 1, max: 128 })
+    .withMessage("Event ID must be a string of 1 to 128 characters"),
+  body("events.*.endpoint")
+    .isString()
+    .withMessage("Endpoint is required")
+    .bail()
+    .trim()
+    .isLength({ min: 1, max: 500 })
+    .withMessage("Endpoint is required"),
+  body("events.*.method")
+    .toUpperCase()
+    .isIn(HTTP_METHODS)
+    .withMessage(`Method must be one of: ${HTTP_METHODS.join(", ")}`),
+  body("events.*.statusCode")
+    .optional({ nullable: true })
+    .isInt({ min: 0, max: 599 })
+    .withMessage("Status code must be between 0 and 599")
+    .toInt(),
+  body("events.*.responseTime")
+    .optional({ nullable: true })
+    .isFloat({ min: 0 })
+    .withMessage("Response time must be a non-negative number")
+    .toFloat(),
+  body("events.*.timestamp")
+    .optional()
+    .custom((value) => {
+      const time = new Date(value).getTime();
+      return (
+        !isNaN(time) &&
+        time <= Date.now() + MAX_EVENT_CLOCK_SKEW &&
+        time > Date.now() - retentionSeconds * 1000
+      );
+    })
+    .withMessage(
+      `Timestamp must be a valid date at most ${
+        MAX_EVENT_CLOCK_SKEW / (60 * 60 * 1000)
+      } hours in the future and less than ${
+        retentionSeconds / (24 * 60 * 60)
+      } days old`
+    ),
+  body("events.*.packageVersion")
+    .optional({ nullable: true })
+    .isString()
+    .withMessage("Package version must be a string")
+    .bail()
+    .isLength({ max: 50 })
+    .withMessage("Package version must not exceed 50 characters"),
+  body("events.*.source")
+    .optional({ nullable: true })
+    .isString()
+    .withMessage("Source must be a string")
+    .bail()
+    .isLength({ max: 50 })
+    .withMessage("Source must not exceed 50 characters"),
+];
+
+/**
+ * Insert events, skipping ones whose client event ID was already stored
+ * @param {object} Model - The mongoose model to insert into
+ * @param {object[]} docs - The events to insert
+ * @returns {Promise<{stored: number, duplicates: number}>} How many events were stored and skipped
+ */
+const insertDeduplicated = async (Model, docs) => {
+  try {
+    await Model.insertMany(docs, { ordered: false });
+    return { stored: docs.length, duplicates: 0 };
+  } catch (error) {
+    // With ordered: false, every event without a duplicate ID is still inserted.
+    // Mongoose copies the driver's write errors, so the code is on `err`.
+    const writeErrors = [].concat(error.writeErrors || []);
+    if (
+      writeErrors.length === 0 ||
+      writeErrors.some(
+        (writeError) => (writeError.err?.code ?? writeError.code) !== 11000
+      )
+    ) {
+      throw error;
+    }
+    return {
+      stored: docs.length - writeErrors.length,
+      duplicates: writeErrors.length,
+    };
+  }
+};
+
+// API Key validation endpoint for NPM package
+router.post("/validate-key", async (req, res) => {
+  try {
+    const {
+      apiKey: keyDoc,
+      project,
+      isPreviousKey,
+      failure,
+    } = await resolveSdkApiKey(req);
+
+    if (failure) {
+      return res.status(failure.status).json(failure.body);
+    }
+
+    // A key that every /api call would reject must not look healthy
+    const restriction = await checkKeyRestrictions(req, keyDoc, false);
+    if (restriction) {
+      return res.status(restriction.status).json(restriction.body);
+    }
+
+    res.json({
+      success: true,
+      message: "API key and project ID validated successfully",
+      project: {
+        id: project._id,
+        name: project.name,
+        status: "active",
+      },
+      apiKey: {
+        id: keyDoc._id,
+        name: keyDoc.name,
+        key: keyDoc.maskedKey,
+        type: keyDoc.type,
+        mode: keyDoc.mode,
+        scopes: keyDoc.scopes,
+        expiresAt: keyDoc.expiresAt,
+        isPreviousKey,
+        ...(isPreviousKey && {
+          previousKeyExpiresAt: keyDoc.previousKeyExpiresAt,
+        }),
+      },
+      rateLimit: await getRateLimitBudget(keyDoc, project._id.toString()),
+    });
+  } catch (error) {
+    console.error("API key validation error:", error);
+    res.status(500).json({ error: "Failed to validate API key" });
+  }
+});
+
+// Usage tracking endpoint for NPM package
+router.post(
+  "/usage/track",
+  normalizeEvents,
+  [
+    ...validateEvents(CLIENT_USAGE_EVENT_RETENTION_SECONDS),
+    body("events.*.success")
+      .optional({ nullable: true })
+      .isBoolean()
+      .withMessage("Success must be a boolean")
+      .toBoolean(),
+    body("events.*.responseSize")
+      .optional({ nullable: true })
+      .isInt({ min: 0 })
+      .withMessage("Response size must be a non-negative integer")
+      .toInt(),
+    body("events.*.anonymousId")
+      .optional({ nullable: true })
+      .isString()
+      .withMessage("Anonymous ID must be a string")
+      .bail()
+      .isLength({ max: 128 })
+      .withMessage("Anonymous ID must not exceed 128 characters"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: "Validation failed",
+          details: errors.array(),
+        });
+      }
+
+      const { apiKey: keyDoc, failure } = await resolveSdkApiKey(req);
+      if (failure) {
+        return res.status(failure.status).json(failure.body);
+      }
+
+      const receivedAt = new Date();
+      const docs = req.body.events.map((event) => ({
+        apiKeyId: keyDoc._id,
+        projectId: keyDoc.projectId,
+        mode: keyDoc.mode,
+        eventId: event.eventId,
+        endpoint: event.endpoint,
+        method: event.method,
+        statusCode: event.statusCode ?? null,
+        responseTime: event.responseTime ?? null,
+        responseSize: event.responseSize ?? null,
+        success: event.success ?? null,
+        packageVersion: event.packageVersion ?? null,
+        source: event.source ?? null,
+        anonymousId: event.anonymousId ?? null,
+        timestamp: event.timestamp ? new Date(event.timestamp) : receivedAt,
+        receivedAt,
+      }));
+
+      const { stored, duplicates } = await insertDeduplicated(
+        ClientUsageEvent,
+        docs
+      );
+
+      res.json({
+        success: true,
+        message: "Usage tracked successfully",
+        received: docs.length,
+        stored,
+        duplicates,
+      });
+    } catch (error) {
+      console.error("Usage tracking error:", error);
+      res.status(500).json({ error: "Failed to track usage" });
+    }
+  }
+);
+
+// Legacy telemetry endpoint for backward compatibility
+router.post(
+  "/telemetry",
+  normalizeEvents,
+  [
+    ...validateEvents(TELEMETRY_EVENT_RETENTION_SECONDS),
+    body("events.*.anonymousId")
+      .isString()
+      .withMessage("Anonymous ID is required")
+      .bail()
+      .isLength({ min: 1, max: 128 })
+      .withMessage("Anonymous ID must be 1 to 128 characters"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: "Validation failed",
+          details: errors.array(),
+        });
+      }
+
+      const receivedAt = new Date();
+      const docs = req.body.events.map((event) => ({
+        anonymousId: event.anonymousId,
+        eventId: event.eventId,
+        endpoint: event.endpoint,
+        method: event.method,
+        statusCode: event.statusCode ?? null,
+        responseTime: event.responseTime ?? null,
+        packageVersion: event.packageVersion ?? null,
+        source: event.source ?? null,
+        timestamp: event.timestamp ? new Date(event.timestamp) : receivedAt,
+        receivedAt,
+      }));
+
+      const { stored, duplicates } = await insertDeduplicated(
+        TelemetryEvent,
+        docs
+      );
+
+      res.json({
+        success: true,
+        message: "Telemetry received",
+        received: docs.length,
+        stored,
+        duplicates,
+      });
+    } catch (error) {
+      console.error("Telemetry error:", error);
+      res.status(500).json({ error: "Failed to process telemetry" });
+    }
+  }
+);
+
+export default router;
@@ -1,179 +1,933 @@
 import express from "express";
 import mongoose from "mongoose";
-import { authenticateToken } from "../middleware/auth.js";
+import { pipeline } from "stream";
+import { query, validationResult } from "express-validator";
+import {
+  STREAM_TOKEN_EXPIRES_IN_SECONDS,
+  authenticateStreamToken,
+  authenticateToken,
+  generateStreamToken,
+} from "../middleware/auth.js";
 import UsageLog from "../models/UsageLog.js";
 import Project from "../models/Project.js";
 import ApiKey from "../models/ApiKey.js";
+import {
+  formatLatencyPercentiles,
+  latencyPercentiles,
+  withLatencyPercentiles,
+} from "../utils/latency.js";
+import { HOURLY_ROLLUP_RETENTION_SECONDS } from "../models/UsageRollup.js";
+import {
+  findRollups,
+  getBucketStart,
+  summarizeRollups,
+} from "../utils/usageRollups.js";
+import {
+  formatLocalDate,
+  getLocalTime,
+  getTimeZoneOffset,
+  isValidTimeZone,
+  parseDateInTimeZone,
+  startOfLocalDay,
+} from "../utils/timeZone.js";
+import {
+  USAGE_EXPORT_FORMATS,
+  createUsageExportStream,
+} from "../utils/usageExport.js";
+import { decodeLogCursor, encodeLogCursor } from "../utils/logCursor.js";
+import {
+  subscribeToUsageLogs,
+  trackUsageStream,
+} from "../utils/usageEvents.js";
 
 const router = express.Router();
 
+/**
+ * Build a UsageLog filter for the requested key mode
+ * Defaults to live traffic so test keys don't pollute production analytics
+ * @param {string} mode - 'live', 'test' or 'all'
+ * @returns {object} The filter to merge into $match / find queries
+ */
+const buildModeFilter = (mode = "live") => {
+  if (mode === "all") {
+    return {};
+  }
+  if (mode === "test") {
+    return { mode: "test" };
+  }
+  // Logs written before test mode existed have no mode and count as live
+  return { mode: { $ne: "test" } };
+};
+
+const VALID_MODES = ["live", "test", "all"];
+
+/**
+ * Start a validation chain for an optional, single-valued query parameter
+ * @param {string} field - The query parameter
+ * @returns {object} The express-validator chain
+ */
+const singleQueryValue = (field) =>
+  query(field)
+    .optional()
+    .not()
+    .isArray()
+    .withMessage(`${field} must be a single value`)
+    .bail();
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const PERIOD_DAYS = { "1d": 1, "7d": 7, "30d": 30, "90d": 90 };
+
+// How often live streams send a heartbeat comment
+const SSE_HEARTBEAT_MS = 15 * 1000;
+
+// Time range and time zone of the stats routes
+const validateRange = [
+  singleQueryValue("from")
+    .isISO8601()
+    .withMessage("from must be an ISO 8601 date"),
+  singleQueryValue("to").isISO8601().withMessage("to must be an ISO 8601 date"),
+  singleQueryValue("tz")
+    .custom(isValidTimeZone)
+    .withMessage("tz must be an IANA time zone, e.g. Asia/Kolkata"),
+];
+
+// Query filters for reading raw usage logs
+const validateLogFilters = [
+  ...validateRange,
+  singleQueryValue("apiKeyId")
+    .isMongoId()
+    .withMessage("apiKeyId must be a valid API key ID"),
+  singleQueryValue("endpoint")
+    .isString()
+    .withMessage("endpoint must be a string")
+    .bail()
+    .isLength({ max: 500 })
+    .withMessage("endpoint must be at most 500 characters"),
+  singleQueryValue("status")
+    .matches(/^[1-5](\d\d|xx)$/)
+    .withMessage("status must be a status code (e.g. 404) or class (e.g. 4xx)"),
+  singleQueryValue("method")
+    .isIn(UsageLog.schema.path("method").enumValues)
+    .withMessage("method must be an HTTP method, e.g. GET"),
+  singleQueryValue("ip").isIP().withMessage("ip must be an IP address"),
+  singleQueryValue("minResponseTime")
+    .isInt({ min: 0 })
+    .withMessage("minResponseTime must be a number of milliseconds"),
+  singleQueryValue("mode")
+    .isIn(VALID_MODES)
+    .withMessage("Mode must be one of: live, test, all"),
+];
+
+/**
+ * Build a UsageLog filter from validated log query filters
+ * @param {string} projectId - The project ID
+ * @param {object} filters - The request query (from, to, tz, apiKeyId,
+ *   endpoint, method, status, ip, minResponseTime, mode)
+ * @returns {object} The find filter
+ */
+const buildLogFilter = (projectId, filters) => {
+  const filter = {
+    projectId: new mongoose.Types.ObjectId(projectId),
+    ...buildModeFilter(filters.mode),
+  };
+
+  if (filters.from || filters.to) {
+    const timeZone = filters.tz || "UTC";
+    filter.timestamp = {};
+    if (filters.from) {
+      filter.timestamp.$gte = parseDateInTimeZone(filters.from, timeZone);
+    }
+    if (filters.to) {
+      filter.timestamp.$lt = parseDateInTimeZone(filters.to, timeZone);
+    }
+  }
+  if (filters.apiKeyId) {
+    filter.apiKeyId = new mongoose.Types.ObjectId(filters.apiKeyId);
+  }
+  if (filters.endpoint) {
+    filter.endpoint = filters.endpoint;
+  }
+  if (filters.method) {
+    filter.method = filters.method;
+  }
+  if (filters.status) {
+    // A class like 4xx matches 400-499
+    const statusClass = filters.status.match(/^([1-5])xx$/);
+    filter.statusCode = statusClass
+      ? {
+          $gte: parseInt(statusClass[1]) * 100,
+          $lt: (parseInt(statusClass[1]) + 1) * 100,
+        }
+      : parseInt(filters.status);
+  }
+  if (filters.ip) {
+    filter["metadata.ip"] = filters.ip;
+  }
+  if (filters.minResponseTime) {
+    filter.responseTime = { $gte: parseInt(filters.minResponseTime) };
+  }
+
+  return filter;
+};
+
+/**
+ * Build a predicate matching usage logs against validated log query filters
+ * The in-memory counterpart of buildLogFilter, for live logs (from / to aren't used)
+ * @param {object} filters - The request query (apiKeyId, endpoint, method,
+ *   status, ip, minResponseTime, mode)
+ * @returns {Function} Returns true for logs that match the filters
+ */
+const buildLogMatcher = (filters) => {
+  const { mode = "live" } = filters;
+  const statusClass = filters.status?.match(/^([1-5])xx$/);
+
+  return (log) => {
+    if (mode !== "all" && (log.mode === "test") !== (mode === "test")) {
+      return false;
+    }
+    if (filters.apiKeyId && log.apiKeyId?.toString() !== filters.apiKeyId) {
+      return false;
+    }
+    if (filters.endpoint && log.endpoint !== filters.endpoint) {
+      return false;
+    }
+    if (filters.method && log.method !== filters.method) {
+      return false;
+    }
+    if (
+      filters.status &&
+      (statusClass
+        ? Math.floor(log.statusCode / 100) !== parseInt(statusClass[1])
+        : log.statusCode !== parseInt(filters.status))
+    ) {
+      return false;
+    }
+    if (filters.ip && log.metadata?.ip !== filters.ip) {
+      return false;
+    }
+    if (
+      filters.minResponseTime &&
+      log.responseTime < parseInt(filters.minResponseTime)
+    ) {
+      return false;
+    }
+    return true;
+  };
+};
+
+/**
+ * Resolve the time range of a stats request and the period before it
+ * @param {object} params - The request query: period (or days), from, to
+ * @param {string} timeZone - Time zone for date-only from / to values
+ * @param {object} [options]
+ * @param {boolean} [options.alignToDays] - Start fixed periods at local midnight
+ * @returns {{from: Date, to: Date, previous: {from: Date, to: Date}}|null} The
+ *   range (to is exclusive), or null if from isn't before to
+ */
+const resolveRange = (
+  { period, days, from, to },
+  timeZone,
+  { alignToDays = false } = {}
+) => {
+  const end = to ? parseDateInTimeZone(to, timeZone) : new Date();
+  let start;
+  if (from) {
+    start = parseDateInTimeZone(from, timeZone);
+  } else {
+    const length = (PERIOD_DAYS[period] || parseInt(days) || 30) * DAY_MS;
+    start = new Date(end.getTime() - length);
+    if (alignToDays) {
+      start = startOfLocalDay(start, timeZone);
+    }
+  }
+
+  if (start >= end) {
+    return null;
+  }
+
+  return {
+    from: start,
+    to: end,
+    previous: { from: new Date(start.getTime() - (end - start)), to: start },
+  };
+};
+
+/**
+ * Pick the rollups to read for a range
+ * Hourly rollups are only read while they're still kept for the range and the
+ * period before it. Then short ranges read them, and longer ones read daily
+ * (UTC) rollups unless local days don't start at UTC midnight.
+ * @param {object} range - The range from resolveRange
+ * @param {string} timeZone - The time zone days are bucketed in
+ * @returns {string} 'hour' or 'day'
+ */
+const chooseGranularity = (range, timeZone) => {
+  const hourlyKept =
+    range.previous.from.getTime() >=
+    Date.now() - HOURLY_ROLLUP_RETENTION_SECONDS * 1000;
+  if (!hourlyKept) {
+    return "day";
+  }
+
+  if (range.to - range.from <= 7 * DAY_MS) {
+    return "hour";
+  }
+
+  const utcDays = [range.from, range.to].every(
+    (date) => getTimeZoneOffset(date, timeZone) % (24 * 60) === 0
+  );
+  return utcDays ? "day" : "hour";
+};
+
+/**
+ * Find the rollups of a range and of the period before it
+ * @param {object} filter - Rollup filters (projectId, mode, ...)
+ * @param {object} range - The range from resolveRange
+ * @param {string} granularity - 'hour' or 'day'
+ * @returns {Promise<[object[], object[]]>} The range's and the previous period's rollups
+ */
+const findRangeRollups = (filter, range, granularity) => {
+  return Promise.all([
+    findRollups(granularity, filter, range.from, range.to),
+    // End where the range's first bucket starts so no bucket is counted twice
+    findRollups(
+      granularity,
+      filter,
+      range.previous.from,
+      getBucketStart(range.from, granularity)
+    ),
+  ]);
+};
+
+/**
+ * Format the headline figures of a period
+ * @param {object|undefined} summary - The period's summary from summarizeRollups
+ * @returns {object} totalCalls, errorCount, errorRate, avgResponseTime and latency
+ */
+const formatPeriodFigures = (summary) => {
+  const totalCalls = summary?.calls || 0;
+  const errorCount = summary?.errors || 0;
+
+  return {
+    totalCalls,
+    errorCount,
+    errorRate:
+      totalCalls > 0 ? ((errorCount / totalCalls) * 100).toFixed(2) : 0,
+    avgResponseTime: Math.round(summary?.avgResponseTime || 0),
+    latency: summary?.latency || formatLatencyPercentiles(null),
+  };
+};
+
+/**
+ * Count calls per local hour since a local midnight
+ * Reads hourly rollups when local hours line up with UTC hours, and the raw
+ * logs otherwise (e.g. Asia/Kolkata, UTC+5:30)
+ * @param {object} filter - UsageLog filters (projectId, mode, ...)
+ * @param {Date} since - Local midnight
+ * @param {string} timeZone - The time zone hours are bucketed in
+ * @returns {Promise<object[]>} {_id: {hour}, calls} rows, sorted by hour
+ */
+const getHourlyUsage = async (filter, since, timeZone) => {
+  if (since.getTime() % HOUR_MS === 0) {
+    const rollups = await findRollups("hour", filter, since);
+    return [
+      ...summarizeRollups(
+        rollups,
+        (rollup) => getLocalTime(rollup.bucketStart, timeZone).hour
+      ),
+    ]
+      .map(([hour, summary]) => ({ _id: { hour }, calls: summary.calls }))
+      .sort((a, b) => a._id.hour - b._id.hour);
+  }
+
+  return UsageLog.aggregate([
+    { $match: { ...filter, timestamp: { $gte: since } } },
+    {
+      $group: {
+        _id: { hour: { $hour: { date: "$timestamp", timezone: timeZone } } },
+        calls: { $sum: 1 },
+      },
+    },
+    { $sort: { "_id.hour": 1 } },
+  ]);
+};
+
+/**
+ * Build the daily usage chart series from rollups
+ * @param {object[]} rollups - The rollups
+ * @param {string} granularity - The rollups' granularity, 'hour' or 'day'
+ * @param {string} timeZone - The time zone days are bucketed in
+ * @returns {object[]} {_id: {date}, calls, avgResponseTime, latency, errors} rows, sorted by date
+ */
+const buildDailyUsage = (rollups, granularity, timeZone) => {
+  return [
+    ...summarizeRollups(rollups, (rollup) =>
+      // Daily rollups are UTC days
+      granularity === "day"
+        ? rollup.bucketStart.toISOString().slice(0, 10)
+        : formatLocalDate(rollup.bucketStart, timeZone)
+    ),
+  ]
+    .map(([date, summary]) => ({
+      _id: { date },
+      calls: summary.calls,
+      avgResponseTime: summary.avgResponseTime,
+      latency: summary.latency,
+      errors: summary.errors,
+    }))
+    .sort((a, b) => a._id.date.localeCompare(b._id.date));
+};
+
 // Get usage statistics for a project
-router.get("/stats/:projectId", authenticateToken, async (req, res) => {
-  try {
-    const { projectId } = req.params;
-    const { period = "30d", limit = 10 } = req.query;
+router.get(
+  "/stats/:projectId",
+  authenticateToken,
+  [
+    ...validateRange,
+    singleQueryValue("limit")
+      .isInt({ min: 1, max: 100 })
+      .withMessage("limit must be between 1 and 100"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: "Validation failed",
+          details: errors.array(),
+        });
+      }
 
-    // Verify project belongs to user
-    const project = await Project.findOne({
-      _id: projectId,
-      owner: req.user._id,
-    });
+      const { projectId } = req.params;
+      const {
+        period = "30d",
+        limit = 10,
+        mode = "live",
+        tz = "UTC",
+      } = req.query;
 
-    if (!project) {
-      return res.status(404).json({
-        error: "Project not found",
-        message:
-          "The specified project does not exist or you don't have access to it",
+      if (!VALID_MODES.includes(mode)) {
+        return res.status(400).json({
+          error: "Invalid mode",
+          message: "Mode must be one of: live, test, all",
+        });
+      }
+      const modeFilter = buildModeFilter(mode);
+
+      const range = resolveRange(req.query, tz);
+      if (!range) {
+        return res.status(400).json({
+          error: "Invalid range",
+          message: "from must be before to",
+        });
+      }
+
+      // Verify project belongs to user
+      const project = await Project.findOne({
+        _id: projectId,
+        owner: req.user._id,
+      });
+
+      if (!project) {
+        return res.status(404).json({
+          error: "Project not found",
+          message:
+            "The specified project does not exist or you don't have access to it",
+        });
+      }
+
+      const projectFilter = {
+        projectId: new mongoose.Types.ObjectId(projectId),
+        ...modeFilter,
+      };
+      const [rollups, previousRollups] = await findRangeRollups(
+        projectFilter,
+        range,
+        chooseGranularity(range, tz)
+      );
+
+      // Get today's calls (since local midnight)
+      const todayUsage = await getHourlyUsage(
+        projectFilter,
+        startOfLocalDay(new Date(), tz),
+        tz
+      );
+      const todayCalls = todayUsage.reduce((sum, row) => sum + row.calls, 0);
+
+      const [overall] = summarizeRollups(rollups).values();
+      const [previous] = summarizeRollups(previousRollups).values();
+
+      // Get calls by endpoint (top endpoints)
+      const topEndpoints = [
+        ...summarizeRollups(rollups, (rollup) => rollup.endpoint),
+      ]
+        .map(([endpoint, summary]) => ({
+          _id: endpoint,
+          count: summary.calls,
+          avgResponseTime: summary.avgResponseTime,
+          latency: summary.latency,
+          errorCount: summary.errors,
+        }))
+        .sort((a, b) => b.count - a.count)
+        .slice(0, parseInt(limit));
+
+      // Get calls by status code
+      const statusCodeStats = Object.entries(overall?.statusCodes || {})
+        .map(([statusCode, count]) => ({ _id: parseInt(statusCode), count }))
+        .sort((a, b) => a._id - b._id);
+
+      // Get recent activity (last 10 calls)
+      const recentActivity = await UsageLog.find({
+        projectId: new mongoose.Types.ObjectId(projectId),
+        ...modeFilter,
+      })
+        .sort({ timestamp: -1 })
+        .limit(10)
+        .select("endpoint method statusCode responseTime timestamp metadata.ip")
+        .populate("apiKeyId", "name");
+
+      res.json({
+        message: "Usage statistics retrieved successfully",
+        period: req.query.from ? "custom" : period,
+        range: { from: range.from, to: range.to, timeZone: tz },
+        mode,
+        project: {
+          id: project._id,
+          name: project.name,
+        },
+        stats: {
+          ...formatPeriodFigures(overall),
+          todayCalls,
+          topEndpoints,
+          statusCodeStats,
+          recentActivity,
+          previousPeriod: {
+            from: range.previous.from,
+            to: range.previous.to,
+            ...formatPeriodFigures(previous),
+          },
+        },
+      });
+    } catch (error) {
+      console.error("Get usage stats error:", error);
+      if (error.name === "CastError") {
+        return res.status(400).json({
+          error: "Invalid project ID",
+          message: "The provided project ID is not valid",
+        });
+      }
+      res.status(500).json({
+        error: "Internal server error",
+        message: "Failed to retrieve usage statistics",
       });
     }
+  }
+);
+
+// Get usage analytics with charts data
+router.get(
+  "/analytics/:projectId",
+  authenticateToken,
+  validateRange,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: "Validation failed",
+          details: errors.array(),
+        });
+      }
+
+      const { projectId } = req.params;
+      const { days = 30, mode = "live", tz = "UTC" } = req.query;
+
+      if (!VALID_MODES.includes(mode)) {
+        return res.status(400).json({
+          error: "Invalid mode",
+          message: "Mode must be one of: live, test, all",
+        });
+      }
+      const modeFilter = buildModeFilter(mode);
+
+      // Charts start on a whole local day
+      const range = resolveRange(req.query, tz, { alignToDays: true });
+      if (!range) {
+        return res.status(400).json({
+          error: "Invalid range",
+          message: "from must be before to",
+        });
+      }
+
+      // Verify project belongs to user
+      const project = await Project.findOne({
+        _id: projectId,
+        owner: req.user._id,
+      });
+
+      if (!project) {
+        return res.status(404).json({
+          error: "Project not found",
+          message:
+            "The specified project does not exist or you don't have access to it",
+        });
+      }
+
+      const projectFilter = {
+        projectId: new mongoose.Types.ObjectId(projectId),
+        ...modeFilter,
+      };
+      const granularity = chooseGranularity(range, tz);
+      const [rollups, previousRollups] = await findRangeRollups(
+        projectFilter,
+        range,
+        granularity
+      );
+
+      // Get daily usage data for charts
+      const dailyUsage = buildDailyUsage(rollups, granularity, tz);
+
+      // Get hourly usage for today
+      const hourlyUsage = await getHourlyUsage(
+        projectFilter,
+        startOfLocalDay(new Date(), tz),
+        tz
+      );
+
+      // Get endpoint performance
+      const endpointPerformance = [
+        ...summarizeRollups(rollups, (rollup) => rollup.endpoint),
+      ]
+        .map(([endpoint, summary]) => ({
+          _id: endpoint,
+          calls: summary.calls,
+          avgResponseTime: summary.avgResponseTime,
+          minResponseTime: summary.minResponseTime,
+          maxResponseTime: summary.maxResponseTime,
+          latency: summary.latency,
+          errors: summary.errors,
+        }))
+        .sort((a, b) => b.calls - a.calls)
+        .slice(0, 20);
+
+      // Get key performance
+      // Calls rejected before a key was identified are grouped under a null key
+      const keyPerformance = [
+        ...summarizeRollups(
+          rollups,
+          (rollup) => rollup.apiKeyId?.toString() || null
+        ),
+      ]
+        .map(([apiKeyId, summary]) => ({
+          _id: apiKeyId,
+          calls: summary.calls,
+          avgResponseTime: summary.avgResponseTime,
+          latency: summary.latency,
+          errors: summary.errors,
+        }))
+        .sort((a, b) => b.calls - a.calls)
+        .slice(0, 20);
 
-    // Calculate date range based on period
-    let startDate = new Date();
-    switch (period) {
-      case "1d":
-        startDate.setDate(startDate.getDate() - 1);
-        break;
-      case "7d":
-        startDate.setDate(startDate.getDate() - 7);
-        break;
-      case "30d":
-        startDate.setDate(startDate.getDate() - 30);
-        break;
-      case "90d":
-        startDate.setDate(startDate.getDate() - 90);
-        break;
-      default:
-        startDate.setDate(startDate.getDate() - 30);
+      const keyNames = await ApiKey.find({
+        _id: { $in: keyPerformance.map((row) => row._id).filter(Boolean) },
+      }).select("name keyPrefix lastFour");
+      const keyNamesById = new Map(
+        keyNames.map((apiKey) => [apiKey._id.toString(), apiKey])
+      );
+
+      const [previous] = summarizeRollups(previousRollups).values();
+
+      res.json({
+        message: "Usage analytics retrieved successfully",
+        period: req.query.from ? "custom" : `${parseInt(days) || 30} days`,
+        range: { from: range.from, to: range.to, timeZone: tz },
+        mode,
+        project: {
+          id: project._id,
+          name: project.name,
+        },
+        analytics: {
+          dailyUsage,
+          hourlyUsage,
+          endpointPerformance,
+          keyPerformance: keyPerformance.map((row) => ({
+            ...row,
+            name: keyNamesById.get(row._id)?.name || null,
+            key: keyNamesById.get(row._id)?.maskedKey || null,
+          })),
+          previousPeriod: {
+            from: range.previous.from,
+            to: range.previous.to,
+            ...formatPeriodFigures(previous),
+            dailyUsage: buildDailyUsage(previousRollups, granularity, tz),
+          },
+        },
+      });
+    } catch (error) {
+      console.error("Get usage analytics error:", error);
+      if (error.name === "CastError") {
+        return res.status(400).json({
+          error: "Invalid project ID",
+          message: "The provided project ID is not valid",
+        });
+      }
+      res.status(500).json({
+        error: "Internal server error",
+        message: "Failed to retrieve usage analytics",
+      });
     }
+  }
+);
 
-    // Get total calls in period
-    const totalCalls = await UsageLog.countDocuments({
-      projectId: new mongoose.Types.ObjectId(projectId),
-      timestamp: { $gte: startDate },
-    });
+// Get API key usage statistics
+router.get(
+  "/keys/:keyId",
+  authenticateToken,
+  validateRange,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: "Validation failed",
+          details: errors.array(),
+        });
+      }
 
-    // Get today's calls
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-    const todayCalls = await UsageLog.countDocuments({
-      projectId: new mongoose.Types.ObjectId(projectId),
-      timestamp: { $gte: today },
-    });
+      const { keyId } = req.params;
+      const { period = "30d", tz = "UTC" } = req.query;
+
+      const range = resolveRange(req.query, tz);
+      if (!range) {
+        return res.status(400).json({
+          error: "Invalid range",
+          message: "from must be before to",
+        });
+      }
 
-    // Get calls by endpoint (top endpoints)
-    const topEndpoints = await UsageLog.aggregate([
-      {
-        $match: {
-          projectId: new mongoose.Types.ObjectId(projectId),
-          timestamp: { $gte: startDate },
+      // Find API key and verify ownership
+      const apiKey = await ApiKey.findById(keyId).populate({
+        path: "projectId",
+        populate: {
+          path: "owner",
+          select: "_id",
         },
-      },
-      {
-        $group: {
-          _id: "$endpoint",
-          count: { $sum: 1 },
-          avgResponseTime: { $avg: "$responseTime" },
-          errorCount: {
-            $sum: {
-              $cond: [{ $gte: ["$statusCode", 400] }, 1, 0],
+      });
+
+      if (!apiKey) {
+        return res.status(404).json({
+          error: "API key not found",
+          message: "The specified API key does not exist",
+        });
+      }
+
+      // Verify user owns the project
+      if (apiKey.projectId.owner._id.toString() !== req.user._id.toString()) {
+        return res.status(403).json({
+          error: "Access denied",
+          message: "You don't have permission to view this API key's usage",
+        });
+      }
+
+      // Get usage stats for this API key over a time range
+      const getKeyStats = async (from, to) => {
+        const [stats] = await UsageLog.aggregate([
+          {
+            $match: {
+              apiKeyId: new mongoose.Types.ObjectId(keyId),
+              timestamp: { $gte: from, $lt: to },
             },
           },
-        },
-      },
-      { $sort: { count: -1 } },
-      { $limit: parseInt(limit) },
-    ]);
-
-    // Get error rate
-    const errorCalls = await UsageLog.countDocuments({
-      projectId: new mongoose.Types.ObjectId(projectId),
-      statusCode: { $gte: 400 },
-      timestamp: { $gte: startDate },
-    });
+          {
+            $group: {
+              _id: null,
+              totalCalls: { $sum: 1 },
+              avgResponseTime: { $avg: "$responseTime" },
+              latency: latencyPercentiles(),
+              errorCount: {
+                $sum: {
+                  $cond: [{ $gte: ["$statusCode", 400] }, 1, 0],
+                },
+              },
+              lastUsed: { $max: "$timestamp" },
+            },
+          },
+        ]);
 
-    // Get calls by status code
-    const statusCodeStats = await UsageLog.aggregate([
-      {
-        $match: {
-          projectId: new mongoose.Types.ObjectId(projectId),
-          timestamp: { $gte: startDate },
+        return stats
+          ? {
+              ...stats,
+              latency: formatLatencyPercentiles(stats.latency),
+              errorRate:
+                stats.totalCalls > 0
+                  ? ((stats.errorCount / stats.totalCalls) * 100).toFixed(2)
+                  : 0,
+            }
+          : {
+              totalCalls: 0,
+              avgResponseTime: 0,
+              latency: formatLatencyPercentiles(null),
+              errorCount: 0,
+              errorRate: 0,
+              lastUsed: null,
+            };
+      };
+
+      const [stats, previousStats] = await Promise.all([
+        getKeyStats(range.from, range.to),
+        getKeyStats(range.previous.from, range.previous.to),
+      ]);
+
+      // Get endpoint breakdown for this key
+      const endpointBreakdown = await UsageLog.aggregate([
+        {
+          $match: {
+            apiKeyId: new mongoose.Types.ObjectId(keyId),
+            timestamp: { $gte: range.from, $lt: range.to },
+          },
         },
-      },
-      {
-        $group: {
-          _id: "$statusCode",
-          count: { $sum: 1 },
+        {
+          $group: {
+            _id: "$endpoint",
+            calls: { $sum: 1 },
+            avgResponseTime: { $avg: "$responseTime" },
+            latency: latencyPercentiles(),
+          },
         },
-      },
-      { $sort: { _id: 1 } },
-    ]);
-
-    // Get average response time
-    const avgResponseTime = await UsageLog.aggregate([
-      {
-        $match: {
-          projectId: new mongoose.Types.ObjectId(projectId),
-          timestamp: { $gte: startDate },
+        { $sort: { calls: -1 } },
+        { $limit: 10 },
+      ]);
+
+      res.json({
+        message: "API key usage statistics retrieved successfully",
+        period: req.query.from ? "custom" : period,
+        range: { from: range.from, to: range.to, timeZone: tz },
+        apiKey: {
+          id: apiKey._id,
+          name: apiKey.name,
+          project: apiKey.projectId.name,
         },
-      },
-      {
-        $group: {
-          _id: null,
-          avgResponseTime: { $avg: "$responseTime" },
+        stats: {
+          ...stats,
+          previousPeriod: {
+            from: range.previous.from,
+            to: range.previous.to,
+            ...previousStats,
+          },
         },
-      },
-    ]);
+        endpointBreakdown: withLatencyPercentiles(endpointBreakdown),
+      });
+    } catch (error) {
+      console.error("Get API key usage error:", error);
+      if (error.name === "CastError") {
+        return res.status(400).json({
+          error: "Invalid API key ID",
+          message: "The provided API key ID is not valid",
+        });
+      }
+      res.status(500).json({
+        error: "Internal server error",
+        message: "Failed to retrieve API key usage statistics",
+      });
+    }
+  }
+);
 
-    // Get recent activity (last 10 calls)
-    const recentActivity = await UsageLog.find({
-      projectId: new mongoose.Types.ObjectId(projectId),
-    })
-      .sort({ timestamp: -1 })
-      .limit(10)
-      .select("endpoint method statusCode responseTime timestamp metadata.ip")
-      .populate("apiKeyId", "name");
+// Search raw usage logs, newest first
+router.get(
+  "/logs/:projectId",
+  authenticateToken,
+  [
+    ...validateLogFilters,
+    singleQueryValue("limit")
+      .isInt({ min: 1, max: 200 })
+      .withMessage("limit must be between 1 and 200"),
+    singleQueryValue("cursor")
+      .custom((cursor) => !!decodeLogCursor(cursor))
+      .withMessage("cursor is not valid"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: "Validation failed",
+          details: errors.array(),
+        });
+      }
 
-    res.json({
-      message: "Usage statistics retrieved successfully",
-      period,
-      project: {
-        id: project._id,
-        name: project.name,
-      },
-      stats: {
-        totalCalls,
-        todayCalls,
-        errorRate:
-          totalCalls > 0 ? ((errorCalls / totalCalls) * 100).toFixed(2) : 0,
-        avgResponseTime:
-          avgResponseTime.length > 0
-            ? Math.round(avgResponseTime[0].avgResponseTime)
-            : 0,
-        topEndpoints,
-        statusCodeStats,
-        recentActivity,
-      },
-    });
-  } catch (error) {
-    console.error("Get usage stats error:", error);
-    if (error.name === "CastError") {
-      return res.status(400).json({
-        error: "Invalid project ID",
-        message: "The provided project ID is not valid",
+      const { projectId } = req.params;
+      const limit = parseInt(req.query.limit) || 50;
+
+      // Verify project belongs to user
+      const project = await Project.findOne({
+        _id: projectId,
+        owner: req.user._id,
+      });
+
+      if (!project) {
+        return res.status(404).json({
+          error: "Project not found",
+          message:
+            "The specified project does not exist or you don't have access to it",
+        });
+      }
+
+      const filter = buildLogFilter(projectId, req.query);
+
+      // Continue after the last log of the previous page
+      if (req.query.cursor) {
+        const { timestamp, id } = decodeLogCursor(req.query.cursor);
+        filter.$or = [
+          { timestamp: { $lt: timestamp } },
+          { timestamp, _id: { $lt: id } },
+        ];
+      }
+
+      // Fetch one extra log to know whether there is another page
+      const logs = await UsageLog.find(filter)
+        .sort({ timestamp: -1, _id: -1 })
+        .limit(limit + 1)
+        .populate("apiKeyId", "name");
+
+      const hasMore = logs.length > limit;
+      const page = logs.slice(0, limit);
+
+      res.json({
+        message: "Usage logs retrieved successfully",
+        project: {
+          id: project._id,
+          name: project.name,
+        },
+        logs: page,
+        pagination: {
+          limit,
+          hasMore,
+          nextCursor: hasMore ? encodeLogCursor(page[page.length - 1]) : null,
+        },
+      });
+    } catch (error) {
+      console.error("Get usage logs error:", error);
+      if (error.name === "CastError") {
+        return res.status(400).json({
+          error: "Invalid project ID",
+          message: "The provided project ID is not valid",
+        });
+      }
+      res.status(500).json({
+        error: "Internal server error",
+        message: "Failed to retrieve usage logs",
       });
     }
-    res.status(500).json({
-      error: "Internal server error",
-      message: "Failed to retrieve usage statistics",
-    });
   }
-});
+);
 
-// Get usage analytics with charts data
-router.get("/analytics/:projectId", authenticateToken, async (req, res) => {
+// Issue a short-lived token for opening a project's usage stream from a
+// browser (EventSource can't send the Authorization header)
+router.post("/stream/:projectId/token", authenticateToken, async (req, res) => {
   try {
     const { projectId } = req.params;
-    const { days = 30 } = req.query;
 
     // Verify project belongs to user
     const project = await Project.findOne({
@@ -189,96 +943,12 @@ router.get("/analytics/:projectId", authenticateToken, async (req, res) => {
       });
     }
 
-    const startDate = new Date();
-    startDate.setDate(startDate.getDate() - parseInt(days));
-
-    // Get daily usage data for charts
-    const dailyUsage = await UsageLog.aggregate([
-      {
-        $match: {
-          projectId: new mongoose.Types.ObjectId(projectId),
-          timestamp: { $gte: startDate },
-        },
-      },
-      {
-        $group: {
-          _id: {
-            date: { $dateToString: { format: "%Y-%m-%d", date: "$timestamp" } },
-          },
-          calls: { $sum: 1 },
-          avgResponseTime: { $avg: "$responseTime" },
-          errors: {
-            $sum: {
-              $cond: [{ $gte: ["$statusCode", 400] }, 1, 0],
-            },
-          },
-        },
-      },
-      { $sort: { "_id.date": 1 } },
-    ]);
-
-    // Get hourly usage for today
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-    const hourlyUsage = await UsageLog.aggregate([
-      {
-        $match: {
-          projectId: new mongoose.Types.ObjectId(projectId),
-          timestamp: { $gte: today },
-        },
-      },
-      {
-        $group: {
-          _id: {
-            hour: { $hour: "$timestamp" },
-          },
-          calls: { $sum: 1 },
-        },
-      },
-      { $sort: { "_id.hour": 1 } },
-    ]);
-
-    // Get endpoint performance
-    const endpointPerformance = await UsageLog.aggregate([
-      {
-        $match: {
-          projectId: new mongoose.Types.ObjectId(projectId),
-          timestamp: { $gte: startDate },
-        },
-      },
-      {
-        $group: {
-          _id: "$endpoint",
-          calls: { $sum: 1 },
-          avgResponseTime: { $avg: "$responseTime" },
-          minResponseTime: { $min: "$responseTime" },
-          maxResponseTime: { $max: "$responseTime" },
-          errors: {
-            $sum: {
-              $cond: [{ $gte: ["$statusCode", 400] }, 1, 0],
-            },
-          },
-        },
-      },
-      { $sort: { calls: -1 } },
-      { $limit: 20 },
-    ]);
-
     res.json({
-      message: "Usage analytics retrieved successfully",
-      period: `${days} days`,
-      project: {
-        id: project._id,
-        name: project.name,
-      },
-      analytics: {
-        dailyUsage,
-        hourlyUsage,
-        endpointPerformance,
-      },
+      token: generateStreamToken(req.user._id, project._id),
+      expiresIn: STREAM_TOKEN_EXPIRES_IN_SECONDS,
     });
   } catch (error) {
-    console.error("Get usage analytics error:", error);
+    console.error("Create stream token error:", error);
     if (error.name === "CastError") {
       return res.status(400).json({
         error: "Invalid project ID",
@@ -287,143 +957,189 @@ router.get("/analytics/:projectId", authenticateToken, async (req, res) => {
     }
     res.status(500).json({
       error: "Internal server error",
-      message: "Failed to retrieve usage analytics",
+      message: "Failed to create stream token",
     });
   }
 });
 
-// Get API key usage statistics
-router.get("/keys/:keyId", authenticateToken, async (req, res) => {
-  try {
-    const { keyId } = req.params;
-    const { period = "30d" } = req.query;
-
-    // Find API key and verify ownership
-    const apiKey = await ApiKey.findById(keyId).populate({
-      path: "projectId",
-      populate: {
-        path: "owner",
-        select: "_id",
-      },
-    });
+// Stream a project's API calls live as Server-Sent Events
+router.get(
+  "/stream/:projectId",
+  authenticateStreamToken,
+  validateLogFilters,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: "Validation failed",
+          details: errors.array(),
+        });
+      }
 
-    if (!apiKey) {
-      return res.status(404).json({
-        error: "API key not found",
-        message: "The specified API key does not exist",
+      const { projectId } = req.params;
+
+      // Verify project belongs to user
+      const project = await Project.findOne({
+        _id: projectId,
+        owner: req.user._id,
       });
-    }
 
-    // Verify user owns the project
-    if (apiKey.projectId.owner._id.toString() !== req.user._id.toString()) {
-      return res.status(403).json({
-        error: "Access denied",
-        message: "You don't have permission to view this API key's usage",
+      if (!project) {
+        return res.status(404).json({
+          error: "Project not found",
+          message:
+            "The specified project does not exist or you don't have access to it",
+        });
+      }
+
+      res.set({
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache, no-transform",
+        Connection: "keep-alive",
+        // Disable proxy buffering (nginx) so events arrive immediately
+        "X-Accel-Buffering": "no",
       });
-    }
+      res.flushHeaders();
+      res.write(": connected\n\n");
+      trackUsageStream(res);
+
+      // While a slow client's buffer is full, events are dropped instead of
+      // buffered in memory, and a dropped event reports how many once it drains
+      let dropped = 0;
+      res.on("drain", () => {
+        if (dropped > 0) {
+          res.write(`event: dropped\ndata: ${JSON.stringify({ dropped })}\n\n`);
+          dropped = 0;
+        }
+      });
+
+      const matches = buildLogMatcher(req.query);
+      const unsubscribe = subscribeToUsageLogs(project._id, (log) => {
+        if (!matches(log)) {
+          return;
+        }
+        if (res.writableNeedDrain) {
+          dropped++;
+          return;
+        }
+        res.write(
+          `id: ${log._id}\nevent: usage\ndata: ${JSON.stringify(log)}\n\n`
+        );
+      });
+
+      // Comments keep idle connections from being closed by proxies
+      const heartbeat = setInterval(() => {
+        if (!res.writableNeedDrain) {
+          res.write(": heartbeat\n\n");
+        }
+      }, SSE_HEARTBEAT_MS);
 
-    // Calculate date range
-    let startDate = new Date();
-    switch (period) {
-      case "1d":
-        startDate.setDate(startDate.getDate() - 1);
-        break;
-      case "7d":
-        startDate.setDate(startDate.getDate() - 7);
-        break;
-      case "30d":
-        startDate.setDate(startDate.getDate() - 30);
-        break;
-      case "90d":
-        startDate.setDate(startDate.getDate() - 90);
-        break;
-      default:
-        startDate.setDate(startDate.getDate() - 30);
+      req.on("close", () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+      });
+    } catch (error) {
+      console.error("Stream usage logs error:", error);
+      if (res.headersSent) {
+        return res.end();
+      }
+      if (error.name === "CastError") {
+        return res.status(400).json({
+          error: "Invalid project ID",
+          message: "The provided project ID is not valid",
+        });
+      }
+      res.status(500).json({
+        error: "Internal server error",
+        message: "Failed to stream usage logs",
+      });
     }
+  }
+);
 
-    // Get usage stats for this API key
-    const stats = await UsageLog.aggregate([
-      {
-        $match: {
-          apiKeyId: new mongoose.Types.ObjectId(keyId),
-          timestamp: { $gte: startDate },
-        },
-      },
-      {
-        $group: {
-          _id: null,
-          totalCalls: { $sum: 1 },
-          avgResponseTime: { $avg: "$responseTime" },
-          errorCount: {
-            $sum: {
-              $cond: [{ $gte: ["$statusCode", 400] }, 1, 0],
-            },
-          },
-          lastUsed: { $max: "$timestamp" },
-        },
-      },
-    ]);
-
-    // Get endpoint breakdown for this key
-    const endpointBreakdown = await UsageLog.aggregate([
-      {
-        $match: {
-          apiKeyId: new mongoose.Types.ObjectId(keyId),
-          timestamp: { $gte: startDate },
-        },
-      },
-      {
-        $group: {
-          _id: "$endpoint",
-          calls: { $sum: 1 },
-          avgResponseTime: { $avg: "$responseTime" },
-        },
-      },
-      { $sort: { calls: -1 } },
-      { $limit: 10 },
-    ]);
+// Export raw usage logs as CSV or NDJSON
+router.get(
+  "/export/:projectId",
+  authenticateToken,
+  [
+    ...validateLogFilters,
+    singleQueryValue("format")
+      .isIn(Object.keys(USAGE_EXPORT_FORMATS))
+      .withMessage("format must be one of: csv, ndjson"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: "Validation failed",
+          details: errors.array(),
+        });
+      }
 
-    res.json({
-      message: "API key usage statistics retrieved successfully",
-      period,
-      apiKey: {
-        id: apiKey._id,
-        name: apiKey.name,
-        project: apiKey.projectId.name,
-      },
-      stats:
-        stats.length > 0
-          ? {
-              ...stats[0],
-              errorRate:
-                stats[0].totalCalls > 0
-                  ? ((stats[0].errorCount / stats[0].totalCalls) * 100).toFixed(
-                      2
-                    )
-                  : 0,
-            }
-          : {
-              totalCalls: 0,
-              avgResponseTime: 0,
-              errorCount: 0,
-              errorRate: 0,
-              lastUsed: null,
-            },
-      endpointBreakdown,
-    });
-  } catch (error) {
-    console.error("Get API key usage error:", error);
-    if (error.name === "CastError") {
-      return res.status(400).json({
-        error: "Invalid API key ID",
-        message: "The provided API key ID is not valid",
+      const { projectId } = req.params;
+      const { format = "csv" } = req.query;
+
+      // Verify project belongs to user
+      const project = await Project.findOne({
+        _id: projectId,
+        owner: req.user._id,
+      });
+
+      if (!project) {
+        return res.status(404).json({
+          error: "Project not found",
+          message:
+            "The specified project does not exist or you don't have access to it",
+        });
+      }
+
+      const apiKeys = await ApiKey.find({ projectId: project._id }).select(
+        "name"
+      );
+      const keyNames = new Map(
+        apiKeys.map((apiKey) => [apiKey._id.toString(), apiKey.name])
+      );
+
+      // Stream from a cursor so large exports aren't held in memory
+      const cursor = UsageLog.find(buildLogFilter(projectId, req.query))
+        .sort({ timestamp: 1, _id: 1 })
+        .lean()
+        .cursor({ batchSize: 1000 });
+
+      const date = new Date().toISOString().slice(0, 10);
+      res.set({
+        "Content-Type": USAGE_EXPORT_FORMATS[format],
+        "Content-Disposition": `attachment; filename="usage-${project._id}-${date}.${format}"`,
+      });
+
+      pipeline(
+        cursor,
+        createUsageExportStream(format, keyNames),
+        res,
+        (err) => {
+          // Clients closing the download early aren't errors; on other errors
+          // the response is cut off, since the headers have already been sent
+          if (err && err.code !== "ERR_STREAM_PREMATURE_CLOSE") {
+            console.error("Export usage logs error:", err);
+          }
+        }
+      );
+    } catch (error) {
+      console.error("Export usage logs error:", error);
+      if (error.name === "CastError") {
+        return res.status(400).json({
+          error: "Invalid project ID",
+          message: "The provided project ID is not valid",
+        });
+      }
+      res.status(500).json({
+        error: "Internal server error",
+        message: "Failed to export usage logs",
       });
     }
-    res.status(500).json({
-      error: "Internal server error",
-      message: "Failed to retrieve API key usage statistics",
-    });
   }
-});
+);
 
 export default router;
@@ -0,0 +1,82 @@
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import UsageLog from "../models/UsageLog.js";
+import { DailyUsageRollup, HourlyUsageRollup } from "../models/UsageRollup.js";
+import { applyUsageRollups, getBucketStart } from "../utils/usageRollups.js";
+
+/**
+ * Rebuild the hourly and daily usage rollups from UsageLog for whole UTC days,
+ * e.g. for logs written before rollups existed. Rollups in the range are
+ * replaced, so it is safe to run more than once. Days before the UsageLog
+ * retention (90 days) would lose their rollups, so don't include them.
+ *
+ * Usage: npm run backfill:usage-rollups -- [--from=2024-01-01] [--to=2024-02-01]
+ * Defaults to the 89 days before today (UTC). Today is never rebuilt because
+ * it is still being updated as requests come in.
+ */
+
+dotenv.config();
+
+const BATCH_SIZE = 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const getArg = (name) => {
+  const arg = process.argv.find((value) => value.startsWith(`--${name}=`));
+  return arg ? arg.slice(name.length + 3) : undefined;
+};
+
+const backfill = async () => {
+  const mongoUrl = process.env.MONGO_URL;
+
+  if (!mongoUrl) {
+    console.error("❌ MONGO_URL environment variable is not set");
+    process.exit(1);
+  }
+
+  const today = getBucketStart(new Date(), "day");
+  const from = getBucketStart(
+    getArg("from") || new Date(today.getTime() - 89 * DAY_MS),
+    "day"
+  );
+  const to = new Date(
+    Math.min(getBucketStart(getArg("to") || today, "day").getTime(), today)
+  );
+
+  if (isNaN(from.getTime()) || isNaN(to.getTime()) || from >= to) {
+    console.error("❌ --from must be a date before --to (and before today)");
+    process.exit(1);
+  }
+
+  await mongoose.connect(mongoUrl);
+  console.log("✅ MongoDB connected successfully");
+
+  const range = { $gte: from, $lt: to };
+  await HourlyUsageRollup.deleteMany({ bucketStart: range });
+  await DailyUsageRollup.deleteMany({ bucketStart: range });
+
+  const cursor = UsageLog.find({ timestamp: range }).lean().cursor();
+
+  let batch = [];
+  let processed = 0;
+  for await (const log of cursor) {
+    batch.push(log);
+    if (batch.length === BATCH_SIZE) {
+      await applyUsageRollups(batch);
+      processed += batch.length;
+      batch = [];
+    }
+  }
+  await applyUsageRollups(batch);
+  processed += batch.length;
+
+  console.log(
+    `📊 Rebuilt usage rollups from ${processed} log(s) between ${from.toISOString()} and ${to.toISOString()}`
+  );
+};
+
+backfill()
+  .catch((error) => {
+    console.error("❌ Usage rollup backfill failed:", error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
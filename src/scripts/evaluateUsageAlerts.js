@@ -0,0 +1,41 @@
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import { evaluateAlertRules } from "../utils/usageAlerts.js";
+
+/**
+ * Evaluate every enabled usage alert rule once and send notifications for
+ * rules that started firing or resolved. Long-running servers do this every
+ * minute on their own; run this from a scheduler (e.g. cron) on serverless
+ * deployments instead.
+ *
+ * Usage: npm run alerts:evaluate
+ */
+
+dotenv.config();
+
+const evaluate = async () => {
+  const mongoUrl = process.env.MONGO_URL;
+
+  if (!mongoUrl) {
+    console.error("❌ MONGO_URL environment variable is not set");
+    process.exit(1);
+  }
+
+  await mongoose.connect(mongoUrl);
+  console.log("✅ MongoDB connected successfully");
+
+  const { evaluated, events, failed } = await evaluateAlertRules();
+  console.log(
+    `🔔 Evaluated ${evaluated} alert rule(s): ${events} state change(s), ${failed} failure(s)`
+  );
+  if (failed > 0) {
+    process.exitCode = 1;
+  }
+};
+
+evaluate()
+  .catch((error) => {
+    console.error("❌ Alert evaluation failed:", error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
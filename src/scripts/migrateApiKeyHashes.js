@@ -0,0 +1,60 @@
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import ApiKey from "../models/ApiKey.js";
+import {
+  hashApiKey,
+  API_KEY_DISPLAY_PREFIX_LENGTH,
+} from "../utils/apiKeyGenerator.js";
+
+/**
+ * One-time migration: replace plaintext API keys with their SHA-256 digest
+ * plus display prefix and last 4 characters. Safe to run more than once.
+ *
+ * Usage: npm run migrate:api-key-hashes
+ */
+
+dotenv.config();
+
+const migrate = async () => {
+  const mongoUrl = process.env.MONGO_URL;
+
+  if (!mongoUrl) {
+    console.error("❌ MONGO_URL environment variable is not set");
+    process.exit(1);
+  }
+
+  await mongoose.connect(mongoUrl);
+  console.log("✅ MongoDB connected successfully");
+
+  const collection = ApiKey.collection;
+  const cursor = collection.find({ key: { $type: "string" } });
+
+  let migrated = 0;
+  for await (const doc of cursor) {
+    await collection.updateOne(
+      { _id: doc._id },
+      {
+        $set: {
+          keyHash: hashApiKey(doc.key),
+          keyPrefix: doc.key.substring(0, API_KEY_DISPLAY_PREFIX_LENGTH),
+          lastFour: doc.key.substring(doc.key.length - 4),
+        },
+        $unset: { key: "" },
+      }
+    );
+    migrated++;
+  }
+
+  console.log(`🔑 Migrated ${migrated} API key(s) to hashed storage`);
+
+  // Drops the legacy unique index on the plaintext key and builds keyHash_1
+  await ApiKey.syncIndexes();
+  console.log("✅ API key indexes synced");
+};
+
+migrate()
+  .catch((error) => {
+    console.error("❌ API key migration failed:", error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
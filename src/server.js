@@ -1,7 +1,6 @@
 import express from "express";
 import cors from "cors";
 import helmet from "helmet";
-import rateLimit from "express-rate-limit";
 import dotenv from "dotenv";
 import mongoose from "mongoose";
 import session from "express-session";
@@ -14,6 +13,21 @@ import projectRoutes from "./routes/projects.js";
 import apiKeyRoutes from "./routes/apiKeys.js";
 import usageRoutes from "./routes/usage.js";
 import apiRoutes from "./routes/api.js";
+import sdkRoutes from "./routes/sdk.js";
+import alertRoutes from "./routes/alerts.js";
+import { apiCors, dashboardCors } from "./middleware/dynamicCors.js";
+import { createIpRateLimiter } from "./middleware/rateLimit.js";
+import { authenticateMetricsToken } from "./middleware/auth.js";
+import {
+  drainUsageLogs,
+  getUsageLogBufferMetrics,
+  getUsageLogBufferStatus,
+} from "./utils/usageLogBuffer.js";
+import { closeUsageStreams } from "./utils/usageEvents.js";
+import {
+  startAlertScheduler,
+  stopAlertScheduler,
+} from "./utils/usageAlerts.js";
 
 // Load environment variables
 dotenv.config();
@@ -27,36 +41,39 @@ app.set("trust proxy", 1);
 // Security middleware
 app.use(helmet());
 
+// Ensure DB is connected in serverless environments BEFORE CORS and routes
+// (the /api CORS check reads allowed origins from the project)
+app.use(async (req, res, next) => {
+  if (mongoose.connection.readyState !== 1) {
+    await connectDB().catch(next);
+  }
+  next();
+});
+
 // CORS must be BEFORE rate limiting so errors still include CORS headers
-app.use(
-  cors({
-    origin: [
-      "http://localhost:5173",
-      "http://localhost:3000",
-      "https://hexagon-eran.vercel.app",
-      "https://hexagon-steel.vercel.app",
-      "https://hexagon.vercel.app",
-    ],
-    credentials: true,
-    methods: ["GET", "POST", "PUT", "DELETE", "PATCH", "OPTIONS"],
-    allowedHeaders: ["Content-Type", "Authorization", "x-api-key", "X-API-Key", "x-project-id", "X-Project-ID"],
-  })
-);
+// Public /api routes allow each project's own origins, dashboard routes a static list
+app.use((req, res, next) => {
+  if (req.path === "/api" || req.path.startsWith("/api/")) {
+    return apiCors(req, res, next);
+  }
+  return dashboardCors(req, res, next);
+});
 app.options("*", cors());
 
 // Rate limiting (after CORS so 429 responses still have ACAO)
-const limiter = rateLimit({
-  windowMs: 15 * 60 * 1000,
-  max: 300,
-  standardHeaders: true,
-  legacyHeaders: false,
-});
-app.use(limiter);
+// Calls with a valid API key are limited per key instead (see middleware/rateLimit.js)
+app.use(createIpRateLimiter());
 // After your cors() middleware, add:
 app.options("*", cors());
 // Body parsing middleware
-app.use(express.json({ limit: "10mb" }));
-app.use(express.urlencoded({ extended: true, limit: "10mb" }));
+// The raw body is kept for verifying HMAC-signed /api requests
+const captureRawBody = (req, res, buf) => {
+  req.rawBody = buf;
+};
+app.use(express.json({ limit: "10mb", verify: captureRawBody }));
+app.use(
+  express.urlencoded({ extended: true, limit: "10mb", verify: captureRawBody })
+);
 
 // Session configuration
 app.use(
@@ -98,169 +115,37 @@ const connectDB = async () => {
     console.log("🔗 Connecting to MongoDB...");
     await mongoose.connect(mongoUrl);
     console.log("✅ MongoDB connected successfully");
+
+    // Latency percentiles and p95 alerts use $percentile (MongoDB 7.0+)
+    const buildInfo = await mongoose.connection.db
+      .admin()
+      .buildInfo()
+      .catch(() => null);
+    if (buildInfo && parseInt(buildInfo.version) < 7) {
+      console.warn(
+        `⚠️ MongoDB ${buildInfo.version} is older than 7.0: latency percentiles and p95 latency alerts will fail`
+      );
+    }
   } catch (error) {
     console.error("❌ MongoDB connection error:", error);
     process.exit(1);
   }
 };
 
-// Ensure DB is connected in serverless environments BEFORE routes
-app.use(async (req, res, next) => {
-  if (mongoose.connection.readyState !== 1) {
-    await connectDB().catch(next);
-  }
-  next();
-});
-
 // Routes
 app.use("/auth", authRoutes);
 app.use("/users", userRoutes);
 app.use("/projects", projectRoutes);
 app.use("/api-keys", apiKeyRoutes);
+app.use("/usage/alerts", alertRoutes);
 app.use("/usage", usageRoutes);
 
+// NPM package endpoints (check keys themselves, so mounted before apiRoutes)
+app.use("/api", sdkRoutes);
+
 // Public API routes (require API key authentication)
 app.use("/api", apiRoutes);
 
-// API Key validation endpoint for NPM package
-app.post("/api/validate-key", express.json(), async (req, res) => {
-  try {
-    const { projectId, apiKey } = req.body;
-    const headerApiKey = req.headers["x-api-key"];
-    const headerProjectId = req.headers["x-project-id"];
-
-    // Use header values if body values are not provided
-    const finalApiKey = apiKey || headerApiKey;
-    const finalProjectId = projectId || headerProjectId;
-
-    if (!finalApiKey || !finalProjectId) {
-      return res.status(400).json({
-        error: "Missing API key or Project ID",
-        message: "Both API key and Project ID are required",
-      });
-    }
-
-    // TODO: Validate against your database
-    // For now, we'll do basic validation
-    if (!finalApiKey.startsWith("pk_live_")) {
-      return res.status(401).json({
-        error: "Invalid API key format",
-        message: "API key must start with 'pk_live_'",
-      });
-    }
-
-    // Simulate project validation
-    console.log(`🔑 Validating API key for project: ${finalProjectId}`);
-
-    res.json({
-      success: true,
-      message: "API key and project ID validated successfully",
-      project: {
-        id: finalProjectId,
-        name: `Project ${finalProjectId}`,
-        status: "active",
-      },
-      apiKey: {
-        id: finalApiKey.substring(0, 20) + "...",
-        permissions: ["auth", "database", "storage"],
-      },
-    });
-  } catch (error) {
-    console.error("API key validation error:", error);
-    res.status(500).json({ error: "Failed to validate API key" });
-  }
-});
-
-// Usage tracking endpoint for NPM package
-app.post("/api/usage/track", express.json(), async (req, res) => {
-  try {
-    const {
-      packageVersion,
-      endpoint,
-      method,
-      responseTime,
-      statusCode,
-      timestamp,
-      projectId,
-      apiKey,
-      anonymousId,
-      source,
-      success,
-      responseSize,
-    } = req.body;
-
-    console.log(
-      `📊 Usage Track: ${method} ${endpoint} (${responseTime}ms) - ${statusCode} - Project: ${projectId}`
-    );
-
-    // Store usage data (you can save to database if needed)
-    const usageData = {
-      packageVersion,
-      endpoint,
-      method,
-      responseTime,
-      statusCode,
-      timestamp: new Date(timestamp),
-      projectId,
-      apiKey: apiKey.substring(0, 10) + "...", // Partial key for security
-      anonymousId,
-      source,
-      success,
-      responseSize,
-      receivedAt: new Date(),
-    };
-
-    // For now, just log it. You can save to database later
-    console.log("Usage data:", usageData);
-
-    res.json({ success: true, message: "Usage tracked successfully" });
-  } catch (error) {
-    console.error("Usage tracking error:", error);
-    res.status(500).json({ error: "Failed to track usage" });
-  }
-});
-
-// Legacy telemetry endpoint for backward compatibility
-app.post("/api/telemetry", express.json(), async (req, res) => {
-  try {
-    const {
-      packageVersion,
-      endpoint,
-      method,
-      responseTime,
-      statusCode,
-      timestamp,
-      anonymousId,
-      source,
-    } = req.body;
-
-    console.log(
-      `📊 Telemetry: ${method} ${endpoint} (${responseTime}ms) - ${statusCode}`
-    );
-
-    // Store telemetry data (you can save to database if needed)
-    const telemetryData = {
-      packageVersion,
-      endpoint,
-      method,
-      responseTime,
-      statusCode,
-      timestamp: new Date(timestamp),
-      anonymousId,
-      source,
-      receivedAt: new Date(),
-    };
-
-    // For now, just log it. You can save to database later
-    console.log("Telemetry data:", telemetryData);
-
-    res.json({ success: true, message: "Telemetry received" });
-  } catch (error) {
-    console.error("Telemetry error:", error);
-    res.status(500).json({ error: "Failed to process telemetry" });
-  }
-});
-
 // Health check endpoint
 app.get("/", (req, res) => {
   res.json({
@@ -268,12 +153,19 @@ app.get("/", (req, res) => {
     message: "Hexagon Node.js Backend is running",
     version: "1.0.1",
     timestamp: new Date().toISOString(),
+    usageLogging: getUsageLogBufferStatus(),
   });
 });
 
+// Detailed usage log buffer metrics, for operators only
+app.get("/health/usage-logging", authenticateMetricsToken, (req, res) => {
+  res.json(getUsageLogBufferMetrics());
+});
+
 // Error handling middleware
 app.use((err, req, res, next) => {
   console.error("Error:", err);
+  res.locals.errorMessage = err.message; // for /api usage logs
   res.status(err.status || 500).json({
     error: err.message || "Internal Server Error",
     ...(process.env.NODE_ENV === "development" && { stack: err.stack }),
@@ -285,15 +177,40 @@ app.use("*", (req, res) => {
   res.status(404).json({ error: "Route not found" });
 });
 
-// (moved DB ensure middleware above routes)
+// (moved DB ensure middleware above CORS and routes)
 
 // Start server only when not running on Vercel serverless
 const startServer = async () => {
   await connectDB();
-  app.listen(PORT, () => {
+  const server = app.listen(PORT, () => {
     console.log(`🚀 Server running on port ${PORT}`);
     console.log(`📍 Health check: http://localhost:${PORT}`);
   });
+  startAlertScheduler();
+
+  // Stop accepting requests and write buffered usage logs before exiting
+  const shutdown = async (signal) => {
+    console.log(`${signal} received, shutting down`);
+    stopAlertScheduler();
+    // Give up if draining hangs (e.g. MongoDB is unreachable)
+    setTimeout(() => process.exit(1), 30000).unref();
+
+    const closed = new Promise((resolve) => server.close(resolve));
+    closeUsageStreams();
+    server.closeIdleConnections();
+    // Let in-flight requests finish, but don't wait forever on open connections
+    await Promise.race([
+      closed,
+      new Promise((resolve) => setTimeout(resolve, 10000).unref()),
+    ]);
+    server.closeAllConnections();
+
+    await drainUsageLogs();
+    await mongoose.connection.close();
+    process.exit(0);
+  };
+  process.once("SIGTERM", () => shutdown("SIGTERM"));
+  process.once("SIGINT", () => shutdown("SIGINT"));
 };
 
 if (!process.env.VERCEL) {
@@ -0,0 +1,267 @@
+import crypto from "crypto";
+import dns from "dns";
+import http from "http";
+import https from "https";
+import net from "net";
+import nodemailer from "nodemailer";
+import { isPublicAddress } from "./ipAllowlist.js";
+
+const WEBHOOK_TIMEOUT_MS = 10 * 1000;
+
+// Email delivery is pluggable (see setAlertEmailTransport). Unless a transport
+// is set, SMTP is used when SMTP_URL is configured (undefined = not resolved yet)
+let emailTransport;
+
+/**
+ * Get the transport used to email alert notifications
+ * @returns {{sendMail: Function}|null} The transport, or null if email isn't configured
+ */
+const getEmailTransport = () => {
+  if (emailTransport === undefined) {
+    emailTransport = process.env.SMTP_URL
+      ? nodemailer.createTransport(process.env.SMTP_URL)
+      : null;
+  }
+  return emailTransport;
+};
+
+/**
+ * Set the transport used to email alert notifications, instead of SMTP_URL
+ * Any object with a nodemailer-style sendMail({ from, to, subject, text })
+ * method that returns a promise works, e.g. a nodemailer transporter
+ * @param {{sendMail: Function}|null} transport - The transport (null to disable email)
+ */
+export const setAlertEmailTransport = (transport) => {
+  emailTransport = transport;
+};
+
+/**
+ * Check whether alert notifications can be emailed
+ * @returns {boolean} True if an email transport is configured
+ */
+export const isAlertEmailConfigured = () => {
+  return !!getEmailTransport();
+};
+
+/**
+ * Generate a secret for signing alert webhooks
+ * @returns {string} The secret (whsec_ followed by 64 hex characters)
+ */
+export const generateWebhookSecret = () => {
+  return `whsec_${crypto.randomBytes(32).toString("hex")}`;
+};
+
+/**
+ * Sign an alert webhook payload
+ * @param {string} secret - The rule's webhook secret
+ * @param {string} timestamp - Unix time in seconds (X-Hexagon-Timestamp)
+ * @param {string} body - The raw JSON body
+ * @returns {string} The hex-encoded HMAC-SHA256 of `${timestamp}.${body}`
+ */
+export const signWebhookPayload = (secret, timestamp, body) => {
+  return crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${body}`)
+    .digest("hex");
+};
+
+/**
+ * Resolve a webhook host, refusing private, loopback and link-local addresses
+ * (allowed in development so webhooks can be tested against a local server)
+ * @param {string} hostname - The URL hostname (IPv6 literals may be bracketed)
+ * @returns {Promise<{address: string, family: number}[]>} The resolved addresses
+ * @throws {Error} If the host can't be resolved or any address isn't public
+ */
+const resolveWebhookHost = async (hostname) => {
+  const host = hostname.replace(/^\[(.*)\]$/, "$1");
+  const addresses = net.isIP(host)
+    ? [{ address: host, family: net.isIP(host) }]
+    : await dns.promises.lookup(host, { all: true }).catch(() => {
+        throw new Error(`Webhook host ${host} could not be resolved`);
+      });
+
+  if (process.env.NODE_ENV !== "development") {
+    const blocked = addresses.find(({ address }) => !isPublicAddress(address));
+    if (blocked) {
+      throw new Error(
+        `Webhook host ${host} resolves to a non-public address (${blocked.address})`
+      );
+    }
+  }
+
+  return addresses;
+};
+
+/**
+ * Check that a webhook URL only points to public addresses
+ * @param {string} url - The webhook URL
+ * @throws {Error} If the host can't be resolved or any address isn't public
+ */
+export const checkWebhookHost = async (url) => {
+  await resolveWebhookHost(new URL(url).hostname);
+};
+
+/**
+ * DNS lookup for webhook requests, so the check also applies to the address
+ * actually connected to (a host could resolve differently after validation)
+ * @param {string} hostname - The host to resolve
+ * @param {object} options - The lookup options from net.connect
+ * @param {Function} callback - Called with (error, address, family) or (error, addresses) if options.all
+ */
+const lookupWebhookHost = (hostname, options, callback) => {
+  resolveWebhookHost(hostname).then((addresses) => {
+    if (options.all) {
+      callback(null, addresses);
+    } else {
+      callback(null, addresses[0].address, addresses[0].family);
+    }
+  }, callback);
+};
+
+/**
+ * POST a signed payload to a webhook URL
+ * @param {string} url - The webhook URL
+ * @param {string} secret - The rule's webhook secret
+ * @param {string} body - The raw JSON body
+ * @returns {Promise<{success: boolean, statusCode: number}>} The delivery result
+ */
+const sendWebhook = async (url, secret, body) => {
+  const { protocol, hostname } = new URL(url);
+  // IP literal hosts are connected to without a lookup, so check them here
+  await resolveWebhookHost(hostname);
+
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const client = protocol === "http:" ? http : https;
+
+  // Redirects aren't followed
+  return new Promise((resolve, reject) => {
+    const request = client.request(
+      url,
+      {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "Content-Length": Buffer.byteLength(body),
+          "User-Agent": "Hexagon-Alerts/1.0",
+          "X-Hexagon-Timestamp": timestamp,
+          "X-Hexagon-Signature": `sha256=${signWebhookPayload(
+            secret,
+            timestamp,
+            body
+          )}`,
+        },
+        lookup: lookupWebhookHost,
+        signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS),
+      },
+      (response) => {
+        response.resume();
+        resolve({
+          success: response.statusCode >= 200 && response.statusCode < 300,
+          statusCode: response.statusCode,
+        });
+      }
+    );
+    request.on("error", reject);
+    request.end(body);
+  });
+};
+
+/**
+ * Email an alert through the configured transport
+ * @param {string} to - The recipient
+ * @param {object} payload - The alert payload
+ */
+const sendEmail = async (to, payload) => {
+  const transport = getEmailTransport();
+  if (!transport) {
+    throw new Error("No email transport configured");
+  }
+
+  const status = payload.status === "firing" ? "FIRING" : "RESOLVED";
+  await transport.sendMail({
+    from: process.env.ALERT_EMAIL_FROM,
+    to,
+    subject: `[${status}] ${payload.rule.name} (${payload.project.name})`,
+    text: [
+      payload.message,
+      "",
+      `Project: ${payload.project.name}`,
+      `Rule: ${payload.rule.name} (${payload.rule.type})`,
+      `Value: ${payload.value ?? "n/a"}`,
+      `Threshold: ${payload.rule.threshold ?? "n/a"}`,
+      `Time: ${payload.timestamp}`,
+    ].join("\n"),
+  });
+};
+
+/**
+ * Send an alert event to a rule's webhooks and email addresses
+ * Deliveries are attempted once each; failures are reported, not thrown
+ * @param {object} rule - The AlertRule document (with webhookSecret selected)
+ * @param {object} event - The AlertEvent document
+ * @param {object} project - The project ({_id, name})
+ * @returns {Promise<object[]>} One {channel, target, success, statusCode, error} result per delivery
+ */
+export const sendAlertNotifications = async (rule, event, project) => {
+  const payload = {
+    id: event._id.toString(),
+    type: `alert.${event.status}`,
+    status: event.status,
+    message: event.message,
+    value: event.value,
+    timestamp: event.createdAt.toISOString(),
+    rule: {
+      id: rule._id.toString(),
+      name: rule.name,
+      type: rule.type,
+      threshold: rule.threshold,
+      windowMinutes: rule.windowMinutes,
+      mode: rule.mode,
+    },
+    project: {
+      id: project._id.toString(),
+      name: project.name,
+    },
+  };
+  const body = JSON.stringify(payload);
+
+  const deliveries = [
+    ...rule.webhooks.map((url) => ({
+      channel: "webhook",
+      target: url,
+      send: () => sendWebhook(url, rule.webhookSecret, body),
+    })),
+    ...rule.emails.map((email) => ({
+      channel: "email",
+      target: email,
+      send: async () => {
+        await sendEmail(email, payload);
+        return { success: true };
+      },
+    })),
+  ];
+
+  return Promise.all(
+    deliveries.map(async ({ channel, target, send }) => {
+      try {
+        const { success, statusCode = null } = await send();
+        return {
+          channel,
+          target,
+          success,
+          statusCode,
+          error: success ? null : `HTTP ${statusCode}`,
+        };
+      } catch (error) {
+        console.error(`Alert ${channel} notification error:`, error.message);
+        return {
+          channel,
+          target,
+          success: false,
+          statusCode: null,
+          error: error.message,
+        };
+      }
+    })
+  );
+};
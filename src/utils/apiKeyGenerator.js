@@ -1,5 +1,8 @@
 import crypto from "crypto";
 
+// Number of leading characters kept in plaintext for display (e.g. pk_live_1a2b)
+export const API_KEY_DISPLAY_PREFIX_LENGTH = 12;
+
 /**
  * Generate a secure API key with prefix
  * @param {string} prefix - The prefix for the API key (e.g., 'pk_live', 'pk_test')
@@ -29,6 +32,36 @@ export const generateProductionApiKey = (length = 32) => {
   return generateApiKey("pk_live", length);
 };
 
+/**
+ * Generate a secret API key (server-side only)
+ * @param {string} mode - 'live' or 'test'
+ * @param {number} length - The length of the random part in bytes (default: 32)
+ * @returns {string} The generated secret API key
+ */
+export const generateSecretApiKey = (mode = "live", length = 32) => {
+  return generateApiKey(mode === "test" ? "sk_test" : "sk_live", length);
+};
+
+/**
+ * Generate an API key for a mode and key type
+ * @param {string} mode - 'live' or 'test'
+ * @param {string} type - 'publishable' (pk_) or 'secret' (sk_)
+ * @param {number} length - The length of the random part in bytes (default: 32)
+ * @returns {string} The generated API key
+ */
+export const generateApiKeyForMode = (
+  mode = "live",
+  type = "publishable",
+  length = 32
+) => {
+  if (type === "secret") {
+    return generateSecretApiKey(mode, length);
+  }
+  return mode === "test"
+    ? generateTestApiKey(length)
+    : generateProductionApiKey(length);
+};
+
 /**
  * Validate API key format
  * @param {string} apiKey - The API key to validate
@@ -39,8 +72,8 @@ export const isValidApiKeyFormat = (apiKey) => {
     return false;
   }
 
-  // Check if it starts with pk_ and has the correct format
-  const apiKeyPattern = /^pk_(live|test)_[a-f0-9]{64}$/;
+  // Check if it starts with pk_ or sk_ and has the correct format
+  const apiKeyPattern = /^(pk|sk)_(live|test)_[a-f0-9]{64}$/;
   return apiKeyPattern.test(apiKey);
 };
 
@@ -54,8 +87,25 @@ export const getApiKeyPrefix = (apiKey) => {
     return null;
   }
 
-  const match = apiKey.match(/^pk_(live|test)_/);
-  return match ? match[1] : null;
+  const match = apiKey.match(/^(pk|sk)_(live|test)_/);
+  return match ? match[2] : null;
+};
+
+/**
+ * Extract API key type
+ * @param {string} apiKey - The API key
+ * @returns {string|null} The type (publishable/secret) or null if invalid
+ */
+export const getApiKeyType = (apiKey) => {
+  if (!apiKey || typeof apiKey !== "string") {
+    return null;
+  }
+
+  const match = apiKey.match(/^(pk|sk)_(live|test)_/);
+  if (!match) {
+    return null;
+  }
+  return match[1] === "sk" ? "secret" : "publishable";
 };
 
 /**
@@ -70,3 +120,12 @@ export const maskApiKey = (apiKey) => {
 
   return apiKey.substring(0, 8) + "..." + apiKey.substring(apiKey.length - 4);
 };
+
+/**
+ * Hash an API key for storage and lookup
+ * @param {string} apiKey - The full API key
+ * @returns {string} The hex-encoded SHA-256 digest of the key
+ */
+export const hashApiKey = (apiKey) => {
+  return crypto.createHash("sha256").update(apiKey).digest("hex");
+};
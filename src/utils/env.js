@@ -0,0 +1,16 @@
+// Settings are read from process.env when they're used, not when modules are
+// imported: server.js and the scripts call dotenv.config() after their imports
+// are evaluated, so values from .env aren't set yet at import time.
+
+/**
+ * Read an integer setting from the environment
+ * @param {string} name - The environment variable
+ * @param {number|null} fallback - Used when the variable is unset, not a number or below min
+ * @param {object} [options]
+ * @param {number} [options.min] - The smallest accepted value (default 1)
+ * @returns {number|null} The setting
+ */
+export const getEnvInt = (name, fallback, { min = 1 } = {}) => {
+  const value = parseInt(process.env[name]);
+  return value >= min ? value : fallback;
+};
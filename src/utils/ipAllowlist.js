@@ -0,0 +1,155 @@
+import net from "net";
+
+/**
+ * Parse an allowlist entry into its address, family and prefix length
+ * @param {string} entry - An IPv4/IPv6 address or CIDR range (e.g. '10.0.0.0/8')
+ * @returns {{address: string, family: string, prefix: number}|null} The parsed entry or null if invalid
+ */
+const parseEntry = (entry) => {
+  if (!entry || typeof entry !== "string") {
+    return null;
+  }
+
+  const [address, prefixPart, ...rest] = entry.trim().split("/");
+  const version = net.isIP(address);
+
+  if (!version || rest.length > 0) {
+    return null;
+  }
+
+  const maxPrefix = version === 4 ? 32 : 128;
+  let prefix = maxPrefix;
+
+  if (prefixPart !== undefined) {
+    if (!/^\d{1,3}$/.test(prefixPart)) {
+      return null;
+    }
+    prefix = parseInt(prefixPart);
+    if (prefix > maxPrefix) {
+      return null;
+    }
+  }
+
+  return { address, family: version === 4 ? "ipv4" : "ipv6", prefix };
+};
+
+/**
+ * Validate an allowlist entry
+ * @param {string} entry - An IPv4/IPv6 address or CIDR range
+ * @returns {boolean} True if the entry is a valid address or CIDR range
+ */
+export const isValidIpOrCidr = (entry) => {
+  return parseEntry(entry) !== null;
+};
+
+/**
+ * Check whether an IP address is covered by an allowlist
+ * @param {string} ip - The client IP address
+ * @param {string[]} allowlist - IPv4/IPv6 addresses and CIDR ranges
+ * @returns {boolean} True if the allowlist is empty or contains the IP
+ */
+export const isIpAllowed = (ip, allowlist = []) => {
+  if (!allowlist || allowlist.length === 0) {
+    return true;
+  }
+
+  const version = net.isIP(ip || "");
+  if (!version) {
+    return false;
+  }
+
+  const blockList = new net.BlockList();
+  for (const entry of allowlist) {
+    const parsed = parseEntry(entry);
+    if (parsed) {
+      blockList.addSubnet(parsed.address, parsed.prefix, parsed.family);
+    }
+  }
+
+  return blockList.check(ip, version === 4 ? "ipv4" : "ipv6");
+};
+
+/**
+ * Expand an IPv6 address to its eight hextets
+ * @param {string} ip - A valid IPv6 address
+ * @returns {string[]} The hextets without leading zeros
+ */
+const expandIpv6 = (ip) => {
+  const [head, tail] = ip.split("::");
+  const headParts = head ? head.split(":") : [];
+  const tailParts = tail ? tail.split(":") : [];
+  const zeros =
+    tail === undefined ? [] : Array(8 - headParts.length - tailParts.length);
+
+  return [...headParts, ...zeros.fill("0"), ...tailParts].map((part) =>
+    parseInt(part, 16).toString(16)
+  );
+};
+
+/**
+ * Get the network an IP address belongs to (/24 for IPv4, /48 for IPv6)
+ * @param {string} ip - The client IP address
+ * @returns {string|null} The network in CIDR notation, or null if the IP is invalid
+ */
+export const getIpNetwork = (ip) => {
+  // IPv4-mapped IPv6 addresses (::ffff:1.2.3.4) count as IPv4
+  const address = (ip || "").replace(/^::ffff:/i, "");
+
+  if (net.isIPv4(address)) {
+    return `${address.split(".").slice(0, 3).join(".")}.0/24`;
+  }
+
+  if (net.isIPv6(address)) {
+    return `${expandIpv6(address).slice(0, 3).join(":")}::/48`;
+  }
+
+  return null;
+};
+
+// Ranges that aren't reachable on the public internet: private, loopback,
+// link-local, CGNAT, documentation, multicast and reserved. BlockList also
+// applies the IPv4 ranges to IPv4-mapped IPv6 addresses (::ffff:127.0.0.1)
+const NON_PUBLIC_RANGES = [
+  "0.0.0.0/8",
+  "10.0.0.0/8",
+  "100.64.0.0/10",
+  "127.0.0.0/8",
+  "169.254.0.0/16",
+  "172.16.0.0/12",
+  "192.0.0.0/24",
+  "192.0.2.0/24",
+  "192.168.0.0/16",
+  "198.18.0.0/15",
+  "198.51.100.0/24",
+  "203.0.113.0/24",
+  "224.0.0.0/3",
+  "::/96",
+  "::1/128",
+  "64:ff9b::/96",
+  "100::/64",
+  "2001:db8::/32",
+  "fc00::/7",
+  "fe80::/10",
+  "fec0::/10",
+  "ff00::/8",
+];
+
+const nonPublicBlockList = new net.BlockList();
+for (const range of NON_PUBLIC_RANGES) {
+  const { address, family, prefix } = parseEntry(range);
+  nonPublicBlockList.addSubnet(address, prefix, family);
+}
+
+/**
+ * Check whether an IP address is publicly routable
+ * @param {string} ip - An IPv4/IPv6 address
+ * @returns {boolean} False if the IP is invalid or in a private, loopback, link-local or reserved range
+ */
+export const isPublicAddress = (ip) => {
+  const version = net.isIP(ip || "");
+  if (!version) {
+    return false;
+  }
+
+  return !nonPublicBlockList.check(ip, version === 4 ? "ipv4" : "ipv6");
+};
@@ -0,0 +1,98 @@
+// Latency percentiles reported by the usage analytics
+export const LATENCY_PERCENTILES = [0.5, 0.9, 0.95, 0.99];
+
+/**
+ * $group accumulator for the latency percentiles of UsageLog.responseTime
+ * Uses MongoDB's approximate $percentile (MongoDB 7.0+)
+ * @param {string} field - The response time field to read
+ * @returns {object} The accumulator expression
+ */
+export const latencyPercentiles = (field = "$responseTime") => ({
+  $percentile: {
+    input: field,
+    p: LATENCY_PERCENTILES,
+    method: "approximate",
+  },
+});
+
+/**
+ * Name the values computed by latencyPercentiles
+ * @param {number[]|null} values - The percentile values, in LATENCY_PERCENTILES order
+ * @returns {{p50: number|null, p90: number|null, p95: number|null, p99: number|null}} Percentiles in milliseconds (null without data)
+ */
+export const formatLatencyPercentiles = (values) => {
+  return Object.fromEntries(
+    LATENCY_PERCENTILES.map((percentile, index) => [
+      `p${Math.round(percentile * 100)}`,
+      values?.[index] != null ? Math.round(values[index]) : null,
+    ])
+  );
+};
+
+/**
+ * Replace the raw percentile array on aggregation rows with named percentiles
+ * @param {object[]} rows - Aggregation results with a `latency` array
+ * @returns {object[]} The rows with `latency` as {p50, p90, p95, p99}
+ */
+export const withLatencyPercentiles = (rows) => {
+  return rows.map((row) => ({
+    ...row,
+    latency: formatLatencyPercentiles(row.latency),
+  }));
+};
+
+// Upper bounds (ms) of the latency histogram buckets kept in usage rollups.
+// Bucket i counts responses in (bounds[i - 1], bounds[i]]; the last bucket
+// (index bounds.length) counts everything slower.
+export const LATENCY_HISTOGRAM_BOUNDS = [
+  5, 10, 25, 50, 75, 100, 150, 200, 300, 400, 500, 750, 1000, 1500, 2000, 3000,
+  5000, 10000, 30000,
+];
+
+/**
+ * Get the histogram bucket for a response time
+ * @param {number} responseTime - The response time in milliseconds
+ * @returns {number} The bucket index
+ */
+export const getLatencyBucket = (responseTime) => {
+  const index = LATENCY_HISTOGRAM_BOUNDS.findIndex(
+    (bound) => responseTime <= bound
+  );
+  return index === -1 ? LATENCY_HISTOGRAM_BOUNDS.length : index;
+};
+
+/**
+ * Estimate latency percentiles from a histogram, interpolating within buckets
+ * @param {object} histogram - Counts by bucket index ({ "0": 12, "3": 40, ... })
+ * @param {{min: number, max: number}} range - The smallest and largest response times seen
+ * @returns {{p50: number|null, p90: number|null, p95: number|null, p99: number|null}} Percentiles in milliseconds (null without data)
+ */
+export const percentilesFromHistogram = (histogram = {}, { min, max } = {}) => {
+  const counts = Object.entries(histogram)
+    .map(([bucket, count]) => [parseInt(bucket), count])
+    .filter(([, count]) => count > 0)
+    .sort(([a], [b]) => a - b);
+  const total = counts.reduce((sum, [, count]) => sum + count, 0);
+
+  if (total === 0) {
+    return formatLatencyPercentiles(null);
+  }
+
+  const values = LATENCY_PERCENTILES.map((percentile) => {
+    const rank = percentile * total;
+    let seen = 0;
+
+    for (const [bucket, count] of counts) {
+      if (seen + count >= rank) {
+        const lower = bucket === 0 ? 0 : LATENCY_HISTOGRAM_BOUNDS[bucket - 1];
+        const upper = LATENCY_HISTOGRAM_BOUNDS[bucket] ?? max ?? lower;
+        const estimate = lower + ((upper - lower) * (rank - seen)) / count;
+        return Math.min(Math.max(estimate, min ?? estimate), max ?? estimate);
+      }
+      seen += count;
+    }
+    return max ?? null;
+  });
+
+  return formatLatencyPercentiles(values);
+};
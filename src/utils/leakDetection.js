@@ -0,0 +1,101 @@
+import ApiKey from "../models/ApiKey.js";
+import ApiKeySighting from "../models/ApiKeySighting.js";
+import { getIpNetwork } from "./ipAllowlist.js";
+import { getCachedProject } from "./projectCache.js";
+
+// How often a key/network pair is written to MongoDB by one instance
+const SIGHTING_RECORD_INTERVAL = 10 * 60 * 1000; // 10 minutes
+
+// key/network pairs recorded recently by this instance -> time recorded
+const recentSightings = new Map();
+
+/**
+ * Record the network a key was used from and flag the key as possibly leaked
+ * once it has been seen from more than the project's maxNetworks networks
+ * within its detection window. Does nothing unless the project enabled leak detection.
+ * @param {object} keyDoc - The API key document
+ * @param {string} ip - The client IP address
+ * @returns {Promise<boolean>} True if the key was newly flagged
+ */
+export const recordKeySighting = async (keyDoc, ip) => {
+  const project = await getCachedProject(keyDoc.projectId);
+  const settings = project?.leakDetection;
+  if (!settings?.enabled) {
+    return false;
+  }
+
+  const network = getIpNetwork(ip);
+  if (!network) {
+    return false;
+  }
+
+  const sightingKey = `${keyDoc._id}:${network}`;
+  const now = Date.now();
+  if (
+    now - (recentSightings.get(sightingKey) || 0) <
+    SIGHTING_RECORD_INTERVAL
+  ) {
+    return false;
+  }
+  recentSightings.set(sightingKey, now);
+
+  // Drop stale entries so the map doesn't grow without bound
+  for (const [key, recordedAt] of recentSightings) {
+    if (now - recordedAt >= SIGHTING_RECORD_INTERVAL) {
+      recentSightings.delete(key);
+    }
+  }
+
+  const windowMs = settings.windowHours * 60 * 60 * 1000;
+  const result = await ApiKeySighting.updateOne(
+    { apiKeyId: keyDoc._id, network },
+    {
+      $set: {
+        lastSeenAt: new Date(now),
+        expiresAt: new Date(now + windowMs),
+      },
+    },
+    { upsert: true }
+  );
+
+  // Only a network not seen within the window can push the key over the limit
+  if (result.upsertedCount === 0 || keyDoc.leakSuspectedAt) {
+    return false;
+  }
+
+  const networks = await ApiKeySighting.countDocuments({
+    apiKeyId: keyDoc._id,
+    expiresAt: { $gt: new Date(now) },
+  });
+  if (networks <= settings.maxNetworks) {
+    return false;
+  }
+
+  const flagged = await ApiKey.updateOne(
+    { _id: keyDoc._id, leakSuspectedAt: null },
+    { leakSuspectedAt: new Date(now), leakSuspectedNetworks: networks }
+  );
+  keyDoc.leakSuspectedAt = new Date(now);
+  keyDoc.leakSuspectedNetworks = networks;
+
+  if (flagged.modifiedCount > 0) {
+    console.warn(
+      `⚠️ API key ${keyDoc._id} seen from ${networks} networks - possibly leaked`
+    );
+    return true;
+  }
+  return false;
+};
+
+/**
+ * Forget the networks a key was seen from (e.g. after its secret was replaced)
+ * @param {string} apiKeyId - The API key ID
+ */
+export const clearKeySightings = async (apiKeyId) => {
+  await ApiKeySighting.deleteMany({ apiKeyId });
+  for (const key of recentSightings.keys()) {
+    if (key.startsWith(`${apiKeyId}:`)) {
+      recentSightings.delete(key);
+    }
+  }
+};
@@ -0,0 +1,41 @@
+import mongoose from "mongoose";
+
+const OBJECT_ID_PATTERN = /^[0-9a-f]{24}$/i;
+
+/**
+ * Encode the position of a usage log as an opaque page cursor
+ * @param {object} log - The last log on the page
+ * @returns {string} The cursor
+ */
+export const encodeLogCursor = (log) => {
+  return Buffer.from(
+    JSON.stringify([log.timestamp.toISOString(), log._id.toString()])
+  ).toString("base64url");
+};
+
+/**
+ * Decode a page cursor from encodeLogCursor
+ * @param {string} cursor - The cursor
+ * @returns {{timestamp: Date, id: object}|null} The position, or null if the cursor is invalid
+ */
+export const decodeLogCursor = (cursor) => {
+  try {
+    const [timestamp, id] = JSON.parse(
+      Buffer.from(cursor, "base64url").toString()
+    );
+    if (
+      typeof timestamp !== "string" ||
+      typeof id !== "string" ||
+      !OBJECT_ID_PATTERN.test(id)
+    ) {
+      return null;
+    }
+    const date = new Date(timestamp);
+    if (isNaN(date)) {
+      return null;
+    }
+    return { timestamp: date, id: new mongoose.Types.ObjectId(id) };
+  } catch (error) {
+    return null;
+  }
+};
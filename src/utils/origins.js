@@ -0,0 +1,60 @@
+/**
+ * Normalize an origin for comparison (lowercase scheme/host, no trailing slash or path)
+ * @param {string} value - An origin or URL (e.g. 'https://App.example.com/')
+ * @returns {string|null} The normalized origin (e.g. 'https://app.example.com') or null if invalid
+ */
+export const normalizeOrigin = (value) => {
+  if (!value || typeof value !== "string") {
+    return null;
+  }
+
+  try {
+    const url = new URL(value.trim());
+    if (url.protocol !== "http:" && url.protocol !== "https:") {
+      return null;
+    }
+    return url.origin;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Validate an allowed-origin entry
+ * @param {string} value - The origin to validate
+ * @returns {boolean} True if the value is a bare http(s) origin without a path
+ */
+export const isValidOrigin = (value) => {
+  const origin = normalizeOrigin(value);
+  return (
+    origin !== null && origin === value.trim().toLowerCase().replace(/\/$/, "")
+  );
+};
+
+/**
+ * Get the browser origin of a request, falling back to the Referer header
+ * @param {object} req - The Express request
+ * @returns {string|null} The normalized origin or null if the request has none
+ */
+export const getRequestOrigin = (req) => {
+  return (
+    normalizeOrigin(req.headers["origin"]) ||
+    normalizeOrigin(req.headers["referer"])
+  );
+};
+
+/**
+ * Check whether an origin is in a list of allowed origins
+ * @param {string} origin - The request origin
+ * @param {string[]} allowedOrigins - The allowed origins
+ * @returns {boolean} True if the origin is allowed
+ */
+export const isOriginAllowed = (origin, allowedOrigins = []) => {
+  const normalized = normalizeOrigin(origin);
+  if (!normalized) {
+    return false;
+  }
+  return allowedOrigins.some(
+    (allowed) => normalizeOrigin(allowed) === normalized
+  );
+};
@@ -0,0 +1,41 @@
+import Project from "../models/Project.js";
+
+// Project settings read on every /api call (allowed origins, rate limits,
+// request signing, leak detection) are cached in-process so we don't hit MongoDB each time
+const PROJECT_CACHE_TTL = 60 * 1000; // 1 minute
+
+const projectCache = new Map();
+
+/**
+ * Get a project's settings, cached for PROJECT_CACHE_TTL
+ * @param {string} projectId - The project ID
+ * @returns {Promise<object|null>} The lean project document or null if not found
+ */
+export const getCachedProject = async (projectId) => {
+  const key = projectId.toString();
+  const cached = projectCache.get(key);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.project;
+  }
+
+  const project = await Project.findById(key)
+    .select(
+      "name owner allowedOrigins rateLimit requireSignedRequests leakDetection"
+    )
+    .lean();
+
+  projectCache.set(key, {
+    project,
+    expiresAt: Date.now() + PROJECT_CACHE_TTL,
+  });
+
+  return project;
+};
+
+/**
+ * Drop a cached project so changes take effect immediately
+ * @param {string} projectId - The project ID
+ */
+export const invalidateProjectCache = (projectId) => {
+  projectCache.delete(projectId.toString());
+};
@@ -0,0 +1,116 @@
+import crypto from "crypto";
+
+// Maximum allowed difference between the client's x-timestamp and server time
+export const SIGNATURE_CLOCK_SKEW_SECONDS = 5 * 60;
+
+const NONCE_PATTERN = /^[A-Za-z0-9_-]{16,128}$/;
+
+/**
+ * Hash a request body for signing
+ * @param {Buffer|string|undefined} body - The raw request body
+ * @returns {string} The hex-encoded SHA-256 digest of the body (of '' if there is none)
+ */
+export const hashRequestBody = (body) => {
+  return crypto
+    .createHash("sha256")
+    .update(body || "")
+    .digest("hex");
+};
+
+/**
+ * Build the canonical string that is signed
+ * @param {object} parts - The signed request parts
+ * @param {string} parts.timestamp - Unix time in seconds (x-timestamp)
+ * @param {string} parts.nonce - Unique request nonce (x-nonce)
+ * @param {string} parts.method - HTTP method
+ * @param {string} parts.path - Request path including the query string
+ * @param {string} parts.bodyHash - Hex SHA-256 of the raw body
+ * @returns {string} The canonical string
+ */
+export const buildStringToSign = ({
+  timestamp,
+  nonce,
+  method,
+  path,
+  bodyHash,
+}) => {
+  return [timestamp, nonce, method.toUpperCase(), path, bodyHash].join("\n");
+};
+
+const getSigningPepper = () => {
+  const pepper = process.env.API_KEY_SIGNING_PEPPER;
+  if (!pepper && process.env.NODE_ENV === "production") {
+    throw new Error("API_KEY_SIGNING_PEPPER environment variable is not set");
+  }
+  return pepper || "dev-signing-pepper-change";
+};
+
+/**
+ * Derive a key's request signing secret from its digest
+ * The server-side pepper (API_KEY_SIGNING_PEPPER) means the digests stored in
+ * MongoDB are not enough to sign requests
+ * @param {string} keyHash - The key's SHA-256 digest (keyHash or previousKeyHash)
+ * @returns {string} The signing secret (sig_ followed by 64 hex characters)
+ */
+export const deriveSigningSecret = (keyHash) => {
+  const secret = crypto
+    .createHmac("sha256", getSigningPepper())
+    .update(keyHash)
+    .digest("hex");
+  return `sig_${secret}`;
+};
+
+/**
+ * Compute a request signature
+ * @param {string} signingSecret - The key's signing secret (from deriveSigningSecret)
+ * @param {string} stringToSign - The canonical string from buildStringToSign
+ * @returns {string} The hex-encoded HMAC-SHA256 signature
+ */
+export const computeSignature = (signingSecret, stringToSign) => {
+  return crypto
+    .createHmac("sha256", signingSecret)
+    .update(stringToSign)
+    .digest("hex");
+};
+
+/**
+ * Compare two hex signatures in constant time
+ * @param {string} expected - The signature computed by the server
+ * @param {string} provided - The signature sent by the client
+ * @returns {boolean} True if the signatures match
+ */
+export const signaturesMatch = (expected, provided) => {
+  if (!provided || typeof provided !== "string") {
+    return false;
+  }
+
+  const expectedBuffer = Buffer.from(expected, "hex");
+  const providedBuffer = Buffer.from(provided.toLowerCase(), "hex");
+
+  return (
+    expectedBuffer.length === providedBuffer.length &&
+    crypto.timingSafeEqual(expectedBuffer, providedBuffer)
+  );
+};
+
+/**
+ * Check that a request timestamp is within the allowed clock skew
+ * @param {string} timestamp - Unix time in seconds
+ * @returns {boolean} True if the timestamp is valid and recent
+ */
+export const isTimestampFresh = (timestamp) => {
+  if (!/^\d{1,12}$/.test(timestamp || "")) {
+    return false;
+  }
+  const skew = Math.abs(Date.now() / 1000 - parseInt(timestamp));
+  return skew <= SIGNATURE_CLOCK_SKEW_SECONDS;
+};
+
+/**
+ * Validate a request nonce
+ * @param {string} nonce - The client-generated nonce
+ * @returns {boolean} True if the nonce is 16-128 URL-safe characters
+ */
+export const isValidNonce = (nonce) => {
+  return NONCE_PATTERN.test(nonce || "");
+};
@@ -0,0 +1,50 @@
+// Scopes that can be granted to an API key, as resource:action
+export const API_KEY_SCOPES = [
+  "auth:*",
+  "database:read",
+  "database:write",
+  "storage:read",
+  "storage:write",
+  "analytics:read",
+];
+
+// Scopes granted to new keys when none are requested
+export const DEFAULT_API_KEY_SCOPES = [
+  "auth:*",
+  "database:read",
+  "database:write",
+];
+
+// Equivalent scopes for the coarse permissions used before scopes existed
+const LEGACY_PERMISSION_SCOPES = {
+  auth: ["auth:*"],
+  database: ["database:read", "database:write"],
+  storage: ["storage:read", "storage:write"],
+  analytics: ["analytics:read"],
+};
+
+/**
+ * Map legacy permissions (auth, database, storage, analytics) to scopes
+ * @param {string[]} permissions - The legacy permissions
+ * @returns {string[]} The equivalent scopes
+ */
+export const mapPermissionsToScopes = (permissions = []) => {
+  const scopes = permissions.flatMap(
+    (permission) => LEGACY_PERMISSION_SCOPES[permission] || []
+  );
+  return [...new Set(scopes)];
+};
+
+/**
+ * Check whether granted scopes cover a required scope ('resource:*' covers every action)
+ * @param {string[]} grantedScopes - The scopes granted to the key
+ * @param {string} requiredScope - The scope required by the route
+ * @returns {boolean} True if the required scope is granted
+ */
+export const hasScope = (grantedScopes = [], requiredScope) => {
+  const [resource] = requiredScope.split(":");
+  return (
+    grantedScopes.includes(requiredScope) ||
+    grantedScopes.includes(`${resource}:*`)
+  );
+};
@@ -0,0 +1,160 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_ONLY_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+const formatters = new Map();
+
+/**
+ * Get a cached formatter for the local date and time in a time zone
+ * @param {string} timeZone - IANA time zone name, e.g. 'Asia/Kolkata'
+ * @returns {Intl.DateTimeFormat} The formatter (throws for unknown time zones)
+ */
+const getFormatter = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(
+      timeZone,
+      new Intl.DateTimeFormat("en-US", {
+        timeZone,
+        hourCycle: "h23",
+        year: "numeric",
+        month: "2-digit",
+        day: "2-digit",
+        hour: "2-digit",
+        minute: "2-digit",
+        second: "2-digit",
+      })
+    );
+  }
+  return formatters.get(timeZone);
+};
+
+/**
+ * Check that a time zone name is known
+ * @param {string} timeZone - IANA time zone name
+ * @returns {boolean} True if the time zone can be used for bucketing
+ */
+export const isValidTimeZone = (timeZone) => {
+  if (typeof timeZone !== "string" || !timeZone) {
+    return false;
+  }
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Get the local date and time of an instant in a time zone
+ * @param {Date} date - The instant
+ * @param {string} timeZone - IANA time zone name
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number, second: number}} The local time (month is 1-12)
+ */
+export const getLocalTime = (date, timeZone) => {
+  const parts = {};
+  for (const { type, value } of getFormatter(timeZone).formatToParts(date)) {
+    if (type !== "literal") {
+      parts[type] = parseInt(value);
+    }
+  }
+  return parts;
+};
+
+/**
+ * Get a time zone's offset from UTC at an instant
+ * @param {Date} date - The instant
+ * @param {string} timeZone - IANA time zone name
+ * @returns {number} The offset in minutes (e.g. 330 for Asia/Kolkata)
+ */
+export const getTimeZoneOffset = (date, timeZone) => {
+  const local = getLocalTime(date, timeZone);
+  const localAsUtc = Date.UTC(
+    local.year,
+    local.month - 1,
+    local.day,
+    local.hour,
+    local.minute,
+    local.second
+  );
+  return Math.round((localAsUtc - date.getTime()) / 60000);
+};
+
+/**
+ * Get the instant of a local time in a time zone
+ * Times that happen twice (when clocks go back) resolve to the first one
+ * @param {object} local - The local time
+ * @param {number} local.year - The year
+ * @param {number} local.month - The month (1-12)
+ * @param {number} local.day - The day of the month
+ * @param {number} [local.hour] - The hour (0-23)
+ * @param {string} timeZone - IANA time zone name
+ * @returns {Date} The instant
+ */
+export const zonedTimeToUtc = ({ year, month, day, hour = 0 }, timeZone) => {
+  const localAsUtc = Date.UTC(year, month - 1, day, hour);
+  const offsetAt = (instant) =>
+    getTimeZoneOffset(new Date(instant), timeZone) * 60000;
+
+  // The offsets a day either side cover both sides of a DST change
+  const candidates = [localAsUtc - DAY_MS, localAsUtc + DAY_MS].map(
+    (instant) => localAsUtc - offsetAt(instant)
+  );
+  const matches = candidates.filter(
+    (instant) => instant + offsetAt(instant) === localAsUtc
+  );
+  if (matches.length > 0) {
+    return new Date(Math.min(...matches));
+  }
+
+  // The local time was skipped by a DST change (e.g. midnight in zones that
+  // change at midnight): use the time the clocks jumped to
+  return new Date(Math.max(...candidates));
+};
+
+/**
+ * Get the start of the local day containing an instant
+ * @param {Date} date - The instant
+ * @param {string} timeZone - IANA time zone name
+ * @returns {Date} Local midnight
+ */
+export const startOfLocalDay = (date, timeZone) => {
+  const { year, month, day } = getLocalTime(date, timeZone);
+  return zonedTimeToUtc({ year, month, day }, timeZone);
+};
+
+/**
+ * Format the local date of an instant
+ * @param {Date} date - The instant
+ * @param {string} timeZone - IANA time zone name
+ * @returns {string} The date as YYYY-MM-DD
+ */
+export const formatLocalDate = (date, timeZone) => {
+  const { year, month, day } = getLocalTime(date, timeZone);
+  return [
+    String(year).padStart(4, "0"),
+    String(month).padStart(2, "0"),
+    String(day).padStart(2, "0"),
+  ].join("-");
+};
+
+/**
+ * Parse an ISO 8601 date, reading date-only values as local midnight
+ * @param {string} value - e.g. '2024-01-15' or '2024-01-15T10:30:00Z'
+ * @param {string} timeZone - IANA time zone name
+ * @returns {Date} The instant
+ */
+export const parseDateInTimeZone = (value, timeZone) => {
+  const dateOnly = DATE_ONLY_PATTERN.exec(value);
+  if (!dateOnly) {
+    return new Date(value);
+  }
+
+  return zonedTimeToUtc(
+    {
+      year: parseInt(dateOnly[1]),
+      month: parseInt(dateOnly[2]),
+      day: parseInt(dateOnly[3]),
+    },
+    timeZone
+  );
+};
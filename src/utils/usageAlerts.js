@@ -0,0 +1,261 @@
+import AlertEvent from "../models/AlertEvent.js";
+import AlertRule from "../models/AlertRule.js";
+import ApiKey from "../models/ApiKey.js";
+import Project from "../models/Project.js";
+import UsageLog from "../models/UsageLog.js";
+import { getCurrentUsage, resolveRateLimits } from "../middleware/rateLimit.js";
+import { sendAlertNotifications } from "./alertNotifier.js";
+import { getEnvInt } from "./env.js";
+
+const getEvaluationInterval = () =>
+  getEnvInt("ALERT_EVALUATION_INTERVAL_MS", 60 * 1000);
+
+/**
+ * Build the UsageLog filter for a rule's calls over its window
+ * @param {object} rule - The AlertRule document
+ * @returns {object} The $match filter
+ */
+const buildWindowFilter = (rule) => {
+  const filter = {
+    projectId: rule.projectId,
+    // Logs written before test mode existed have no mode and count as live
+    mode: rule.mode === "test" ? "test" : { $ne: "test" },
+    timestamp: { $gte: new Date(Date.now() - rule.windowMinutes * 60 * 1000) },
+  };
+  if (rule.apiKeyId) {
+    filter.apiKeyId = rule.apiKeyId;
+  }
+  return filter;
+};
+
+/**
+ * Measure a rule's current value
+ * Each measure returns {value, triggered, message}, or null when there isn't
+ * enough data to decide (the rule then keeps its state)
+ */
+const measures = {
+  error_rate: async (rule) => {
+    const [stats] = await UsageLog.aggregate([
+      { $match: buildWindowFilter(rule) },
+      {
+        $group: {
+          _id: null,
+          calls: { $sum: 1 },
+          errors: { $sum: { $cond: [{ $gte: ["$statusCode", 400] }, 1, 0] } },
+        },
+      },
+    ]);
+    if (!stats || stats.calls < rule.minCalls) {
+      return null;
+    }
+
+    const value = Math.round((stats.errors / stats.calls) * 10000) / 100;
+    return {
+      value,
+      triggered: value > rule.threshold,
+      message: `Error rate is ${value}% over the last ${rule.windowMinutes} minutes (${stats.errors} of ${stats.calls} calls, threshold ${rule.threshold}%)`,
+    };
+  },
+
+  p95_latency: async (rule) => {
+    const [stats] = await UsageLog.aggregate([
+      { $match: buildWindowFilter(rule) },
+      {
+        $group: {
+          _id: null,
+          calls: { $sum: 1 },
+          p95: {
+            $percentile: {
+              input: "$responseTime",
+              p: [0.95],
+              method: "approximate",
+            },
+          },
+        },
+      },
+    ]);
+    if (!stats || stats.calls < rule.minCalls) {
+      return null;
+    }
+
+    const value = Math.round(stats.p95[0]);
+    return {
+      value,
+      triggered: value > rule.threshold,
+      message: `p95 response time is ${value}ms over the last ${rule.windowMinutes} minutes (threshold ${rule.threshold}ms)`,
+    };
+  },
+
+  zero_volume: async (rule) => {
+    const calls = await UsageLog.countDocuments(buildWindowFilter(rule));
+    return {
+      value: calls,
+      triggered: calls === 0,
+      message:
+        calls === 0
+          ? `No calls in the last ${rule.windowMinutes} minutes`
+          : `Calls resumed in the last ${rule.windowMinutes} minutes`,
+    };
+  },
+
+  quota_usage: async (rule) => {
+    const keys = rule.apiKeyId
+      ? await ApiKey.find({ _id: rule.apiKeyId, isActive: true })
+      : await ApiKey.find({
+          projectId: rule.projectId,
+          isActive: true,
+          mode: rule.mode,
+        });
+
+    // Highest share of a monthly quota used across the keys that have one
+    let highest = null;
+    for (const apiKey of keys) {
+      const { perMonth } = await resolveRateLimits(apiKey, rule.projectId);
+      if (!perMonth) {
+        continue;
+      }
+      const { count } = await getCurrentUsage(apiKey._id.toString(), "month");
+      const value = Math.round((count / perMonth) * 10000) / 100;
+      if (!highest || value > highest.value) {
+        highest = { value, apiKey, count, perMonth };
+      }
+    }
+    if (!highest) {
+      return null;
+    }
+
+    return {
+      value: highest.value,
+      triggered: highest.value >= rule.threshold,
+      message: `${highest.apiKey.name} (${highest.apiKey.maskedKey}) has used ${highest.value}% of its monthly quota (${highest.count} of ${highest.perMonth} calls, threshold ${rule.threshold}%)`,
+    };
+  },
+};
+
+/**
+ * Evaluate a rule, recording and notifying a firing or resolved event when its
+ * state changes. Each change is recorded once, even with several instances
+ * evaluating the same rule. Rules whose project was deleted are disabled.
+ * @param {object} rule - The AlertRule document
+ * @returns {Promise<object|null>} The AlertEvent, or null if the state didn't change
+ */
+export const evaluateAlertRule = async (rule) => {
+  const result = await measures[rule.type](rule);
+  const now = new Date();
+
+  if (!result || (result.triggered ? "firing" : "ok") === rule.state) {
+    await AlertRule.updateOne(
+      { _id: rule._id },
+      { lastEvaluatedAt: now, lastValue: result ? result.value : null }
+    );
+    return null;
+  }
+
+  // Rules outlive deleted projects; disable them instead of notifying
+  const project = await Project.findById(rule.projectId).select("name");
+  if (!project) {
+    console.warn(
+      `Disabling alert rule ${rule._id}: project ${rule.projectId} no longer exists`
+    );
+    await AlertRule.updateOne(
+      { _id: rule._id },
+      { enabled: false, state: "ok", firingSince: null, lastEvaluatedAt: now }
+    );
+    return null;
+  }
+
+  const state = result.triggered ? "firing" : "ok";
+  const updated = await AlertRule.findOneAndUpdate(
+    { _id: rule._id, state: rule.state },
+    {
+      state,
+      firingSince: state === "firing" ? now : null,
+      lastEvaluatedAt: now,
+      lastValue: result.value,
+    },
+    { new: true }
+  ).select("+webhookSecret");
+
+  // Another instance already recorded this change
+  if (!updated) {
+    return null;
+  }
+
+  const event = await AlertEvent.create({
+    ruleId: rule._id,
+    projectId: rule.projectId,
+    status: state === "firing" ? "firing" : "resolved",
+    ruleName: rule.name,
+    ruleType: rule.type,
+    threshold: rule.threshold,
+    value: result.value,
+    message: result.message,
+  });
+
+  event.notifications = await sendAlertNotifications(updated, event, project);
+  await event.save();
+
+  return event;
+};
+
+/**
+ * Evaluate every enabled alert rule
+ * @returns {Promise<{evaluated: number, events: number, failed: number}>} Counts for the run
+ */
+export const evaluateAlertRules = async () => {
+  const rules = await AlertRule.find({ enabled: true });
+  const summary = { evaluated: 0, events: 0, failed: 0 };
+
+  for (const rule of rules) {
+    try {
+      const event = await evaluateAlertRule(rule);
+      summary.evaluated++;
+      if (event) {
+        summary.events++;
+      }
+    } catch (error) {
+      summary.failed++;
+      console.error(`Alert rule ${rule._id} evaluation error:`, error);
+    }
+  }
+
+  return summary;
+};
+
+let evaluationTimer = null;
+let evaluating = false;
+
+/**
+ * Evaluate alert rules periodically (ALERT_EVALUATION_INTERVAL_MS, default 1 minute)
+ * For long-running servers; serverless deployments should run
+ * `npm run alerts:evaluate` from a scheduler instead
+ */
+export const startAlertScheduler = () => {
+  if (evaluationTimer) {
+    return;
+  }
+
+  evaluationTimer = setInterval(async () => {
+    // Skip a tick rather than overlap a slow run
+    if (evaluating) {
+      return;
+    }
+    evaluating = true;
+    try {
+      await evaluateAlertRules();
+    } catch (error) {
+      console.error("Alert evaluation error:", error);
+    } finally {
+      evaluating = false;
+    }
+  }, getEvaluationInterval());
+  evaluationTimer.unref();
+};
+
+/**
+ * Stop evaluating alert rules periodically
+ */
+export const stopAlertScheduler = () => {
+  clearInterval(evaluationTimer);
+  evaluationTimer = null;
+};
@@ -0,0 +1,103 @@
+import { EventEmitter } from "events";
+import UsageLog from "../models/UsageLog.js";
+
+const CHANGE_STREAM_RETRY_MS = 5 * 1000;
+
+// Usage logs by project ID, for live tails (GET /usage/stream/:projectId)
+const bus = new EventEmitter();
+bus.setMaxListeners(0);
+
+let changeStream = null;
+
+// Open live tail responses, ended on shutdown since they never end on their own
+const openStreams = new Set();
+
+/**
+ * Where live usage logs come from. 'local' only sees calls handled by this
+ * instance; 'changestream' sees every instance's calls once they are written,
+ * and requires MongoDB to run as a replica set.
+ * @returns {string} 'local' or 'changestream'
+ */
+const getStreamSource = () =>
+  process.env.USAGE_STREAM_SOURCE === "changestream" ? "changestream" : "local";
+
+/**
+ * Watch UsageLog inserts and publish them to subscribers
+ */
+const startChangeStream = () => {
+  if (changeStream) {
+    return;
+  }
+
+  changeStream = UsageLog.watch([{ $match: { operationType: "insert" } }]);
+  changeStream.on("change", ({ fullDocument }) => {
+    bus.emit(fullDocument.projectId.toString(), fullDocument);
+  });
+  changeStream.on("error", (error) => {
+    console.error("Usage log change stream error:", error);
+    changeStream.close().catch(() => {});
+    changeStream = null;
+
+    // Reconnect while anyone is still listening
+    setTimeout(() => {
+      if (bus.eventNames().length > 0) {
+        startChangeStream();
+      }
+    }, CHANGE_STREAM_RETRY_MS).unref();
+  });
+};
+
+/**
+ * Publish a usage log captured by this instance to live tails
+ * With the change stream source, logs are published once written instead
+ * @param {object} log - The UsageLog fields
+ */
+export const publishUsageLog = (log) => {
+  if (getStreamSource() === "local") {
+    bus.emit(log.projectId.toString(), log);
+  }
+};
+
+/**
+ * Receive a project's usage logs as they are captured
+ * @param {string} projectId - The project ID
+ * @param {Function} listener - Called with each usage log
+ * @returns {Function} Call to unsubscribe
+ */
+export const subscribeToUsageLogs = (projectId, listener) => {
+  const eventName = projectId.toString();
+  bus.on(eventName, listener);
+
+  if (getStreamSource() === "changestream") {
+    startChangeStream();
+  }
+
+  return () => {
+    bus.off(eventName, listener);
+
+    // Don't keep a change stream open without subscribers
+    if (changeStream && bus.eventNames().length === 0) {
+      changeStream.close().catch(() => {});
+      changeStream = null;
+    }
+  };
+};
+
+/**
+ * Track an open live tail response so it can be ended on shutdown
+ * @param {object} res - The Express response
+ */
+export const trackUsageStream = (res) => {
+  openStreams.add(res);
+  res.on("close", () => openStreams.delete(res));
+};
+
+/**
+ * End every open live tail response (clients' EventSource reconnects)
+ */
+export const closeUsageStreams = () => {
+  for (const res of openStreams) {
+    res.end();
+  }
+  openStreams.clear();
+};
@@ -0,0 +1,109 @@
+import { Transform } from "stream";
+
+// Columns of a usage export, in order
+export const USAGE_EXPORT_FIELDS = [
+  "timestamp",
+  "method",
+  "endpoint",
+  "statusCode",
+  "responseTime",
+  "mode",
+  "apiKeyId",
+  "apiKeyName",
+  "ip",
+  "userAgent",
+  "requestSize",
+  "responseSize",
+  "errorMessage",
+];
+
+export const USAGE_EXPORT_FORMATS = {
+  csv: "text/csv; charset=utf-8",
+  ndjson: "application/x-ndjson; charset=utf-8",
+};
+
+/**
+ * Flatten a usage log into an export row
+ * @param {object} log - The lean UsageLog document
+ * @param {Map<string, string>} keyNames - API key names by ID
+ * @returns {object} The row, with a value for each of USAGE_EXPORT_FIELDS
+ */
+const toExportRow = (log, keyNames) => {
+  const apiKeyId = log.apiKeyId?.toString() || null;
+
+  return {
+    timestamp: log.timestamp.toISOString(),
+    method: log.method,
+    endpoint: log.endpoint,
+    statusCode: log.statusCode,
+    responseTime: log.responseTime,
+    mode: log.mode || "live",
+    apiKeyId,
+    apiKeyName: (apiKeyId && keyNames.get(apiKeyId)) || null,
+    ip: log.metadata?.ip || "",
+    userAgent: log.metadata?.userAgent || "",
+    requestSize: log.metadata?.requestSize || 0,
+    responseSize: log.metadata?.responseSize || 0,
+    errorMessage: log.metadata?.errorMessage || null,
+  };
+};
+
+/**
+ * Format a value as a CSV cell
+ * Text starting with a formula character is prefixed with ' so spreadsheets
+ * don't evaluate client-controlled values (user agents, endpoints, ...)
+ * @param {*} value - The value
+ * @returns {string} The escaped cell
+ */
+const toCsvCell = (value) => {
+  if (value === null || value === undefined) {
+    return "";
+  }
+
+  let cell = String(value);
+  if (typeof value === "string" && /^[=+\-@\t\r]/.test(cell)) {
+    cell = `'${cell}`;
+  }
+  if (/[",\r\n]/.test(cell)) {
+    cell = `"${cell.replace(/"/g, '""')}"`;
+  }
+  return cell;
+};
+
+/**
+ * Create a stream that turns usage logs into CSV or NDJSON text
+ * @param {string} format - 'csv' or 'ndjson'
+ * @param {Map<string, string>} keyNames - API key names by ID
+ * @returns {Transform} An object-mode writable, text readable stream
+ */
+export const createUsageExportStream = (format, keyNames = new Map()) => {
+  let headerWritten = false;
+
+  return new Transform({
+    writableObjectMode: true,
+    transform(log, encoding, callback) {
+      const row = toExportRow(log, keyNames);
+
+      if (format === "ndjson") {
+        return callback(null, `${JSON.stringify(row)}\n`);
+      }
+
+      let text = "";
+      if (!headerWritten) {
+        text += `${USAGE_EXPORT_FIELDS.join(",")}\r\n`;
+        headerWritten = true;
+      }
+      text += `${USAGE_EXPORT_FIELDS.map((field) => toCsvCell(row[field])).join(
+        ","
+      )}\r\n`;
+      callback(null, text);
+    },
+    flush(callback) {
+      // An empty CSV export still gets its header row
+      if (format === "csv" && !headerWritten) {
+        return callback(null, `${USAGE_EXPORT_FIELDS.join(",")}\r\n`);
+      }
+      callback();
+    },
+  });
+};
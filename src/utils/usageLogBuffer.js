@@ -0,0 +1,155 @@
+import UsageLog from "../models/UsageLog.js";
+import { applyUsageRollups } from "./usageRollups.js";
+import { getEnvInt } from "./env.js";
+
+// Serverless instances can be frozen between requests, so they write every
+// log right away unless a batch size is configured
+const getBufferSettings = () => ({
+  maxBatchSize: getEnvInt("USAGE_LOG_BATCH_SIZE", process.env.VERCEL ? 1 : 100),
+  flushIntervalMs: getEnvInt("USAGE_LOG_FLUSH_INTERVAL_MS", 2000),
+  maxBuffered: getEnvInt("USAGE_LOG_MAX_BUFFERED", 10000),
+});
+
+let buffer = [];
+let flushTimer = null;
+let currentFlush = null;
+let lastFlushFailed = false;
+
+const metrics = {
+  enqueued: 0,
+  written: 0,
+  // Logs dropped because the buffer was full
+  dropped: 0,
+  // Logs lost because their batch failed to insert
+  failed: 0,
+  flushes: 0,
+  failedFlushes: 0,
+  lastFlushAt: null,
+  lastFlushDurationMs: null,
+  lastError: null,
+};
+
+/**
+ * Insert one batch of logs and add them to the usage rollups
+ * @param {object[]} batch - The logs to write
+ */
+const writeBatch = async (batch) => {
+  const startTime = Date.now();
+
+  let inserted;
+  try {
+    // Invalid logs are skipped with ordered: false; the rest are still inserted
+    inserted = await UsageLog.insertMany(batch, { ordered: false });
+    lastFlushFailed = false;
+  } catch (error) {
+    lastFlushFailed = true;
+    // Some logs may have been written before the error
+    inserted = error.insertedDocs || [];
+    metrics.failedFlushes++;
+    metrics.lastError = error.message;
+    // The error carries the whole batch, so only log its message
+    console.error("Usage log flush error:", error.message);
+  }
+
+  metrics.written += inserted.length;
+  metrics.failed += batch.length - inserted.length;
+
+  try {
+    await applyUsageRollups(inserted);
+  } catch (error) {
+    console.error("Usage rollup error:", error);
+  } finally {
+    metrics.flushes++;
+    metrics.lastFlushAt = new Date();
+    metrics.lastFlushDurationMs = Date.now() - startTime;
+  }
+};
+
+/**
+ * Write all buffered logs, one batch at a time
+ * @returns {Promise<void>} Resolves once the buffer is empty
+ */
+export const flushUsageLogs = () => {
+  clearTimeout(flushTimer);
+  flushTimer = null;
+
+  // Only one flush runs at a time; logs added meanwhile go in the next batch
+  if (!currentFlush) {
+    currentFlush = (async () => {
+      const { maxBatchSize } = getBufferSettings();
+      while (buffer.length > 0) {
+        await writeBatch(buffer.splice(0, maxBatchSize));
+      }
+    })().finally(() => {
+      currentFlush = null;
+    });
+  }
+
+  return currentFlush;
+};
+
+/**
+ * Add a usage log to the buffer. It is written once the buffer reaches the
+ * batch size or the flush interval has passed, whichever comes first.
+ * @param {object} log - The UsageLog fields
+ * @returns {boolean} False if the log was dropped because the buffer is full
+ */
+export const enqueueUsageLog = (log) => {
+  const { maxBatchSize, flushIntervalMs, maxBuffered } = getBufferSettings();
+
+  if (buffer.length >= maxBuffered) {
+    if (metrics.dropped % 1000 === 0) {
+      console.warn(
+        `⚠️ Usage log buffer full (${maxBuffered}) - dropping logs (${metrics.dropped} dropped so far)`
+      );
+    }
+    metrics.dropped++;
+    return false;
+  }
+
+  buffer.push(log);
+  metrics.enqueued++;
+
+  if (buffer.length >= maxBatchSize) {
+    flushUsageLogs().catch(() => {});
+  } else if (!flushTimer) {
+    flushTimer = setTimeout(() => {
+      flushUsageLogs().catch(() => {});
+    }, flushIntervalMs);
+    // Don't keep the process alive just to flush
+    flushTimer.unref();
+  }
+
+  return true;
+};
+
+/**
+ * Write everything still buffered (e.g. before the process exits)
+ * @returns {Promise<void>} Resolves once the buffer is empty
+ */
+export const drainUsageLogs = async () => {
+  // A flush may already be running; wait for it, then write what's left
+  await currentFlush;
+  await flushUsageLogs();
+};
+
+/**
+ * Get the buffer's counters, to tell whether usage logging is falling behind
+ * @returns {object} Buffered, enqueued, written, dropped and failed log counts,
+ *   flush counts and timings, and the buffer settings
+ */
+export const getUsageLogBufferMetrics = () => ({
+  buffered: buffer.length,
+  flushing: !!currentFlush,
+  ...metrics,
+  settings: getBufferSettings(),
+});
+
+/**
+ * Summarize the buffer's health without internal details, for public health checks
+ * @returns {string} 'degraded' while the buffer is full or after a failed flush, else 'ok'
+ */
+export const getUsageLogBufferStatus = () => {
+  const { maxBuffered } = getBufferSettings();
+  return lastFlushFailed || buffer.length >= maxBuffered ? "degraded" : "ok";
+};
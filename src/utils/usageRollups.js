@@ -0,0 +1,215 @@
+import { DailyUsageRollup, HourlyUsageRollup } from "../models/UsageRollup.js";
+import { getLatencyBucket, percentilesFromHistogram } from "./latency.js";
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+/**
+ * Get the start of the UTC hour or day containing a time
+ * @param {Date} date - The time
+ * @param {string} granularity - 'hour' or 'day'
+ * @returns {Date} The bucket start
+ */
+export const getBucketStart = (date, granularity) => {
+  const size = granularity === "hour" ? HOUR_MS : DAY_MS;
+  return new Date(Math.floor(new Date(date).getTime() / size) * size);
+};
+
+/**
+ * Get the status class of a status code
+ * @param {number} statusCode - The HTTP status code
+ * @returns {string} e.g. '2xx' or '4xx'
+ */
+export const getStatusClass = (statusCode) => {
+  return `${Math.floor(statusCode / 100)}xx`;
+};
+
+/**
+ * Add a usage log to the in-memory rollup for its bucket
+ * @param {Map} rollups - Rollups by identity
+ * @param {object} log - The UsageLog document (or plain object)
+ * @param {string} granularity - 'hour' or 'day'
+ */
+const addToRollup = (rollups, log, granularity) => {
+  const filter = {
+    projectId: log.projectId,
+    apiKeyId: log.apiKeyId || null,
+    mode: log.mode || "live",
+    endpoint: log.endpoint,
+    statusClass: getStatusClass(log.statusCode),
+    bucketStart: getBucketStart(log.timestamp, granularity),
+  };
+  const identity = JSON.stringify(filter);
+
+  if (!rollups.has(identity)) {
+    rollups.set(identity, {
+      filter,
+      inc: {},
+      min: log.responseTime,
+      max: log.responseTime,
+    });
+  }
+
+  const rollup = rollups.get(identity);
+  const inc = rollup.inc;
+  const add = (path, value) => {
+    inc[path] = (inc[path] || 0) + value;
+  };
+
+  add("count", 1);
+  add("totalResponseTime", log.responseTime);
+  add("requestBytes", log.metadata?.requestSize || 0);
+  add("responseBytes", log.metadata?.responseSize || 0);
+  add(`statusCodes.${log.statusCode}`, 1);
+  add(`latencyHistogram.${getLatencyBucket(log.responseTime)}`, 1);
+  rollup.min = Math.min(rollup.min, log.responseTime);
+  rollup.max = Math.max(rollup.max, log.responseTime);
+};
+
+/**
+ * Upsert rollups, retrying ones that raced with another instance's insert
+ * @param {object} Model - HourlyUsageRollup or DailyUsageRollup
+ * @param {Map} rollups - Rollups by identity
+ */
+const writeRollups = async (Model, rollups) => {
+  const ops = [...rollups.values()].map(({ filter, inc, min, max }) => ({
+    updateOne: {
+      filter,
+      update: {
+        $inc: inc,
+        $min: { minResponseTime: min },
+        $max: { maxResponseTime: max },
+      },
+      upsert: true,
+    },
+  }));
+
+  try {
+    await Model.bulkWrite(ops, { ordered: false });
+  } catch (error) {
+    // Two instances upserting the same new rollup - retry as plain updates
+    const writeErrors = [].concat(error.writeErrors || []);
+    const codeOf = (writeError) => writeError.err?.code ?? writeError.code;
+    if (
+      writeErrors.length === 0 ||
+      writeErrors.some((writeError) => codeOf(writeError) !== 11000)
+    ) {
+      throw error;
+    }
+
+    const retries = writeErrors.map(
+      (writeError) => ops[writeError.err?.index ?? writeError.index]
+    );
+    await Model.bulkWrite(retries, { ordered: false });
+  }
+};
+
+/**
+ * Add usage logs to the hourly and daily rollups
+ * @param {object[]} logs - UsageLog documents (or plain objects)
+ */
+export const applyUsageRollups = async (logs) => {
+  const hourly = new Map();
+  const daily = new Map();
+
+  for (const log of logs) {
+    addToRollup(hourly, log, "hour");
+    addToRollup(daily, log, "day");
+  }
+
+  if (hourly.size === 0) {
+    return;
+  }
+
+  await Promise.all([
+    writeRollups(HourlyUsageRollup, hourly),
+    writeRollups(DailyUsageRollup, daily),
+  ]);
+};
+
+/**
+ * Find rollups for a time range
+ * @param {string} granularity - 'hour' or 'day'
+ * @param {object} filter - Extra filters (projectId, mode, ...)
+ * @param {Date} from - Start of the range (rounded down to the bucket)
+ * @param {Date} [to] - End of the range (exclusive)
+ * @returns {Promise<object[]>} The lean rollup documents
+ */
+export const findRollups = (granularity, filter, from, to) => {
+  const Model = granularity === "hour" ? HourlyUsageRollup : DailyUsageRollup;
+  const bucketStart = { $gte: getBucketStart(from, granularity) };
+  if (to) {
+    bucketStart.$lt = to;
+  }
+
+  return Model.find({ ...filter, bucketStart }).lean();
+};
+
+/**
+ * Combine rollups into one summary per group
+ * @param {object[]} rollups - Lean rollup documents
+ * @param {Function} groupBy - Returns the group key of a rollup
+ * @returns {Map<string, object>} Summaries by group key, each with calls, errors,
+ *   avgResponseTime, minResponseTime, maxResponseTime, latency, statusCodes,
+ *   requestBytes and responseBytes
+ */
+export const summarizeRollups = (rollups, groupBy = () => "all") => {
+  const groups = new Map();
+
+  for (const rollup of rollups) {
+    const key = groupBy(rollup);
+    if (!groups.has(key)) {
+      groups.set(key, {
+        calls: 0,
+        errors: 0,
+        totalResponseTime: 0,
+        minResponseTime: null,
+        maxResponseTime: null,
+        requestBytes: 0,
+        responseBytes: 0,
+        statusCodes: {},
+        latencyHistogram: {},
+      });
+    }
+
+    const group = groups.get(key);
+    group.calls += rollup.count || 0;
+    if (rollup.statusClass === "4xx" || rollup.statusClass === "5xx") {
+      group.errors += rollup.count || 0;
+    }
+    group.totalResponseTime += rollup.totalResponseTime || 0;
+    group.minResponseTime = Math.min(
+      group.minResponseTime ?? Infinity,
+      rollup.minResponseTime
+    );
+    group.maxResponseTime = Math.max(
+      group.maxResponseTime ?? -Infinity,
+      rollup.maxResponseTime
+    );
+    group.requestBytes += rollup.requestBytes || 0;
+    group.responseBytes += rollup.responseBytes || 0;
+
+    for (const [code, count] of Object.entries(rollup.statusCodes || {})) {
+      group.statusCodes[code] = (group.statusCodes[code] || 0) + count;
+    }
+    for (const [bucket, count] of Object.entries(
+      rollup.latencyHistogram || {}
+    )) {
+      group.latencyHistogram[bucket] =
+        (group.latencyHistogram[bucket] || 0) + count;
+    }
+  }
+
+  for (const group of groups.values()) {
+    group.avgResponseTime =
+      group.calls > 0 ? group.totalResponseTime / group.calls : 0;
+    group.latency = percentilesFromHistogram(group.latencyHistogram, {
+      min: group.minResponseTime,
+      max: group.maxResponseTime,
+    });
+    delete group.totalResponseTime;
+    delete group.latencyHistogram;
+  }
+
+  return groups;
+};
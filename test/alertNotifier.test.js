@@ -0,0 +1,50 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import express from "express";
+import { sendAlertNotifications } from "../src/utils/alertNotifier.js";
+import { serve } from "./helpers.js";
+
+test("webhooks to private addresses are refused", async () => {
+  let received = 0;
+  const app = express();
+  app.post("/hook", (req, res) => {
+    received++;
+    res.sendStatus(204);
+  });
+  const { url, close } = await serve(app);
+
+  try {
+    const { port } = new URL(url);
+    const rule = {
+      _id: "rule_id",
+      name: "Error spike",
+      type: "error_rate",
+      threshold: 5,
+      windowMinutes: 5,
+      mode: "live",
+      webhooks: [`${url}/hook`, `http://localhost:${port}/hook`],
+      webhookSecret: "whsec_test",
+      emails: [],
+    };
+    const event = {
+      _id: "event_id",
+      status: "firing",
+      message: "Error rate is 12.5%",
+      value: 12.5,
+      createdAt: new Date(),
+    };
+
+    const results = await sendAlertNotifications(rule, event, {
+      _id: "project_id",
+      name: "Test project",
+    });
+
+    assert.equal(received, 0);
+    for (const result of results) {
+      assert.equal(result.success, false);
+      assert.match(result.error, /non-public address/);
+    }
+  } finally {
+    await close();
+  }
+});
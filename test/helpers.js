@@ -0,0 +1,55 @@
+import { mock } from "node:test";
+import Project from "../src/models/Project.js";
+
+export const PROJECT_ID = "64f1a2b3c4d5e6f7a8b9c0d1";
+
+/**
+ * Serve an Express app on a random local port
+ * @param {object} app - The Express app
+ * @returns {Promise<{url: string, close: Function}>} The base URL, and a function that stops the server
+ */
+export const serve = (app) => {
+  return new Promise((resolve) => {
+    const server = app.listen(0, "127.0.0.1", () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        close: () => new Promise((done) => server.close(done)),
+      });
+    });
+  });
+};
+
+/**
+ * Make Project.findById resolve to a project (or null) without MongoDB
+ * Works with the select().lean() chain used by getCachedProject
+ * @param {object|null} project - The project to return
+ */
+export const mockProject = (project) => {
+  const query = {
+    select: () => query,
+    lean: async () => project,
+    then: (resolve, reject) => Promise.resolve(project).then(resolve, reject),
+  };
+  mock.method(Project, "findById", () => query);
+};
+
+/**
+ * Build an active API key document for PROJECT_ID
+ * @param {object} fields - Fields overriding the defaults
+ * @returns {object} The key document
+ */
+export const fakeApiKey = (fields = {}) => ({
+  _id: "64f1a2b3c4d5e6f7a8b9c0d2",
+  projectId: PROJECT_ID,
+  name: "Test key",
+  type: "publishable",
+  mode: "live",
+  scopes: ["auth:*"],
+  isActive: true,
+  expiresAt: null,
+  allowedIps: [],
+  allowedOrigins: [],
+  lastUsed: new Date(),
+  isExpired: () => false,
+  ...fields,
+});
@@ -0,0 +1,62 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  getLatencyBucket,
+  percentilesFromHistogram,
+} from "../src/utils/latency.js";
+
+test("response times fall in the bucket of their upper bound", () => {
+  assert.equal(getLatencyBucket(0), 0);
+  assert.equal(getLatencyBucket(5), 0);
+  assert.equal(getLatencyBucket(5.1), 1);
+  assert.equal(getLatencyBucket(100), 5);
+  assert.equal(getLatencyBucket(30000), 18);
+  // Slower than the last bound
+  assert.equal(getLatencyBucket(30001), 19);
+});
+
+test("percentiles are null without data", () => {
+  const empty = { p50: null, p90: null, p95: null, p99: null };
+  assert.deepEqual(percentilesFromHistogram(), empty);
+  assert.deepEqual(percentilesFromHistogram({ 3: 0 }), empty);
+});
+
+test("percentiles are interpolated within buckets", () => {
+  // 50 calls in [0, 5] and 50 in (75, 100]
+  assert.deepEqual(
+    percentilesFromHistogram({ 0: 50, 5: 50 }, { min: 1, max: 100 }),
+    { p50: 5, p90: 95, p95: 98, p99: 100 }
+  );
+});
+
+test("percentiles stay within the smallest and largest response times", () => {
+  // 10 calls in (25, 50], all between 30 and 45ms
+  assert.deepEqual(percentilesFromHistogram({ 3: 10 }, { min: 30, max: 45 }), {
+    p50: 38,
+    p90: 45,
+    p95: 45,
+    p99: 45,
+  });
+  assert.deepEqual(percentilesFromHistogram({ 0: 4 }, { min: 2, max: 3 }), {
+    p50: 3,
+    p90: 3,
+    p95: 3,
+    p99: 3,
+  });
+});
+
+test("the open-ended last bucket is bounded by the largest response time", () => {
+  const values = percentilesFromHistogram(
+    { 19: 4 },
+    { min: 31000, max: 40000 }
+  );
+  assert.equal(values.p50, 35000);
+  assert.equal(values.p99, 39900);
+});
+
+test("bucket order and string keys don't matter", () => {
+  assert.deepEqual(
+    percentilesFromHistogram({ 5: 50, 0: 50 }, { min: 1, max: 100 }),
+    percentilesFromHistogram({ 0: 50, 5: 50 }, { min: 1, max: 100 })
+  );
+});
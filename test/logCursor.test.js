@@ -0,0 +1,46 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import { decodeLogCursor, encodeLogCursor } from "../src/utils/logCursor.js";
+
+const encode = (value) =>
+  Buffer.from(JSON.stringify(value)).toString("base64url");
+
+test("cursors decode to the position of the log they were made from", () => {
+  const log = {
+    _id: new mongoose.Types.ObjectId("64f1a2b3c4d5e6f7a8b9c0d1"),
+    timestamp: new Date("2024-01-15T10:30:00.123Z"),
+  };
+
+  const cursor = encodeLogCursor(log);
+  assert.match(cursor, /^[A-Za-z0-9_-]+$/);
+
+  const position = decodeLogCursor(cursor);
+  assert.equal(position.timestamp.toISOString(), "2024-01-15T10:30:00.123Z");
+  assert.ok(position.id instanceof mongoose.Types.ObjectId);
+  assert.equal(position.id.toString(), "64f1a2b3c4d5e6f7a8b9c0d1");
+});
+
+test("malformed cursors decode to null", () => {
+  const id = "64f1a2b3c4d5e6f7a8b9c0d1";
+  const cursors = [
+    "",
+    "not base64 json!",
+    Buffer.from("{").toString("base64url"),
+    encode(null),
+    encode(42),
+    encode({ timestamp: "2024-01-15T10:30:00Z", id }),
+    encode([]),
+    encode(["not a date", id]),
+    encode([null, id]),
+    encode([0, id]),
+    encode(["2024-01-15T10:30:00Z"]),
+    encode(["2024-01-15T10:30:00Z", "not an id"]),
+    encode(["2024-01-15T10:30:00Z", "aaaaaaaaaaaa"]),
+    encode(["2024-01-15T10:30:00Z", [id]]),
+  ];
+
+  for (const cursor of cursors) {
+    assert.equal(decodeLogCursor(cursor), null, cursor);
+  }
+});
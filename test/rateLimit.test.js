@@ -0,0 +1,55 @@
+import { afterEach, mock, test } from "node:test";
+import assert from "node:assert/strict";
+import express from "express";
+import ApiKey from "../src/models/ApiKey.js";
+import { validateApiKey } from "../src/middleware/apiKeyAuth.js";
+import { createIpRateLimiter } from "../src/middleware/rateLimit.js";
+import { PROJECT_ID, fakeApiKey, mockProject, serve } from "./helpers.js";
+
+const buildApp = () => {
+  const app = express();
+  app.use(createIpRateLimiter({ max: 3 }));
+  app.use("/api", validateApiKey, (req, res) => res.json({ ok: true }));
+  return app;
+};
+
+const callApi = (url, apiKey) =>
+  fetch(`${url}/api/data`, {
+    headers: { "x-api-key": apiKey, "x-project-id": PROJECT_ID },
+  });
+
+afterEach(() => mock.restoreAll());
+
+test("invalid API keys count against the IP limit", async () => {
+  mock.method(ApiKey, "findByKey", async () => null);
+  const { url, close } = await serve(buildApp());
+
+  try {
+    for (let i = 0; i < 3; i++) {
+      const response = await callApi(url, `pk_live_${"0".repeat(64)}`);
+      assert.equal(response.status, 401);
+    }
+    const response = await callApi(url, `pk_live_${"0".repeat(64)}`);
+    assert.equal(response.status, 429);
+
+    // Malformed keys too
+    assert.equal((await callApi(url, "not-a-key")).status, 429);
+  } finally {
+    await close();
+  }
+});
+
+test("valid API keys don't count against the IP limit", async () => {
+  mock.method(ApiKey, "findByKey", async () => fakeApiKey());
+  mockProject({ _id: PROJECT_ID, name: "Test project" });
+  const { url, close } = await serve(buildApp());
+
+  try {
+    for (let i = 0; i < 5; i++) {
+      const response = await callApi(url, `pk_live_${"1".repeat(64)}`);
+      assert.equal(response.status, 200);
+    }
+  } finally {
+    await close();
+  }
+});
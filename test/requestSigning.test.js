@@ -0,0 +1,74 @@
+import { afterEach, beforeEach, mock, test } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import express from "express";
+import ApiKey from "../src/models/ApiKey.js";
+import RequestNonce from "../src/models/RequestNonce.js";
+import { validateApiKey } from "../src/middleware/apiKeyAuth.js";
+import { hashApiKey } from "../src/utils/apiKeyGenerator.js";
+import {
+  buildStringToSign,
+  computeSignature,
+  deriveSigningSecret,
+  hashRequestBody,
+} from "../src/utils/requestSigning.js";
+import { PROJECT_ID, fakeApiKey, mockProject, serve } from "./helpers.js";
+
+const keyDoc = fakeApiKey({
+  type: "secret",
+  keyHash: hashApiKey(`sk_live_${"2".repeat(64)}`),
+});
+
+// Send a signed GET /api/data, signed with the given secret
+const callSigned = (url, secret) => {
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const nonce = crypto.randomBytes(16).toString("hex");
+  const stringToSign = buildStringToSign({
+    timestamp,
+    nonce,
+    method: "GET",
+    path: "/api/data",
+    bodyHash: hashRequestBody(""),
+  });
+
+  return fetch(`${url}/api/data`, {
+    headers: {
+      "x-key-id": keyDoc._id,
+      "x-project-id": PROJECT_ID,
+      "x-timestamp": timestamp,
+      "x-nonce": nonce,
+      "x-signature": computeSignature(secret, stringToSign),
+    },
+  });
+};
+
+let server;
+
+beforeEach(async () => {
+  mock.method(ApiKey, "findById", async () => keyDoc);
+  mock.method(RequestNonce, "create", async () => ({}));
+  mockProject({ _id: PROJECT_ID, name: "Test project" });
+
+  const app = express();
+  app.use("/api", validateApiKey, (req, res) => res.json({ ok: true }));
+  server = await serve(app);
+});
+
+afterEach(async () => {
+  await server.close();
+  mock.restoreAll();
+});
+
+test("requests signed with the key's signing secret are accepted", async () => {
+  const response = await callSigned(
+    server.url,
+    deriveSigningSecret(keyDoc.keyHash)
+  );
+  assert.equal(response.status, 200);
+});
+
+test("requests signed with the stored key digest are rejected", async () => {
+  const response = await callSigned(server.url, keyDoc.keyHash);
+  assert.equal(response.status, 401);
+  assert.equal((await response.json()).code, "signature_invalid");
+});
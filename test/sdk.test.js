@@ -0,0 +1,96 @@
+import { afterEach, mock, test } from "node:test";
+import assert from "node:assert/strict";
+import express from "express";
+import ApiKey from "../src/models/ApiKey.js";
+import sdkRoutes from "../src/routes/sdk.js";
+import { PROJECT_ID, fakeApiKey, mockProject, serve } from "./helpers.js";
+
+const validateKey = (url, headers = {}) =>
+  fetch(`${url}/api/validate-key`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", ...headers },
+    body: JSON.stringify({
+      apiKey: `pk_live_${"3".repeat(64)}`,
+      projectId: PROJECT_ID,
+    }),
+  });
+
+afterEach(() => mock.restoreAll());
+
+test("validate-key rejects keys that /api would reject", async () => {
+  const app = express();
+  app.use(express.json());
+  app.use("/api", sdkRoutes);
+  const { url, close } = await serve(app);
+
+  try {
+    mockProject({ _id: PROJECT_ID, name: "Test project" });
+
+    mock.method(ApiKey, "findByKey", async () =>
+      fakeApiKey({ allowedIps: ["203.0.113.0/24"] })
+    );
+    let response = await validateKey(url);
+    assert.equal(response.status, 403);
+    assert.equal((await response.json()).code, "ip_not_allowed");
+
+    mock.method(ApiKey, "findByKey", async () =>
+      fakeApiKey({ allowedOrigins: ["https://app.example.com"] })
+    );
+    response = await validateKey(url, { Origin: "https://evil.example.com" });
+    assert.equal(response.status, 403);
+    assert.equal((await response.json()).code, "origin_not_allowed");
+  } finally {
+    await close();
+  }
+});
+
+test("events older than the retention window are rejected", async () => {
+  const app = express();
+  app.use(express.json());
+  app.use("/api", sdkRoutes);
+  const { url, close } = await serve(app);
+
+  try {
+    const response = await fetch(`${url}/api/telemetry`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        anonymousId: "anon_1",
+        endpoint: "/api/db/query",
+        method: "GET",
+        timestamp: new Date(Date.now() - 91 * 24 * 60 * 60 * 1000),
+      }),
+    });
+    assert.equal(response.status, 400);
+    const { details } = await response.json();
+    assert.equal(details[0].path, "events[0].timestamp");
+  } finally {
+    await close();
+  }
+});
+
+test("events more than a day in the future are rejected", async () => {
+  const app = express();
+  app.use(express.json());
+  app.use("/api", sdkRoutes);
+  const { url, close } = await serve(app);
+
+  try {
+    const response = await fetch(`${url}/api/telemetry`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        anonymousId: "anon_1",
+        endpoint: "/api/db/query",
+        method: "GET",
+        timestamp: new Date(Date.now() + 25 * 60 * 60 * 1000),
+      }),
+    });
+    assert.equal(response.status, 400);
+    const { details } = await response.json();
+    assert.equal(details[0].path, "events[0].timestamp");
+    assert.match(details[0].msg, /at most 24 hours in the future/);
+  } finally {
+    await close();
+  }
+});
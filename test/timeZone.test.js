@@ -0,0 +1,122 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  formatLocalDate,
+  getTimeZoneOffset,
+  isValidTimeZone,
+  parseDateInTimeZone,
+  startOfLocalDay,
+  zonedTimeToUtc,
+} from "../src/utils/timeZone.js";
+
+const iso = (date) => date.toISOString();
+
+test("only known time zones are valid", () => {
+  assert.equal(isValidTimeZone("UTC"), true);
+  assert.equal(isValidTimeZone("Asia/Kolkata"), true);
+  assert.equal(isValidTimeZone("Mars/Olympus_Mons"), false);
+  assert.equal(isValidTimeZone(""), false);
+  assert.equal(isValidTimeZone(undefined), false);
+});
+
+test("offsets follow DST", () => {
+  assert.equal(getTimeZoneOffset(new Date("2024-01-15T12:00:00Z"), "UTC"), 0);
+  assert.equal(
+    getTimeZoneOffset(new Date("2024-01-15T12:00:00Z"), "Asia/Kolkata"),
+    330
+  );
+  assert.equal(
+    getTimeZoneOffset(new Date("2024-01-15T12:00:00Z"), "America/New_York"),
+    -300
+  );
+  assert.equal(
+    getTimeZoneOffset(new Date("2024-07-15T12:00:00Z"), "America/New_York"),
+    -240
+  );
+});
+
+test("local times convert to UTC on both sides of a DST change", () => {
+  const newYork = (day, hour) =>
+    iso(
+      zonedTimeToUtc({ year: 2024, month: 3, day, hour }, "America/New_York")
+    );
+
+  // Clocks went from 02:00 EST to 03:00 EDT on 2024-03-10
+  assert.equal(newYork(10, 0), "2024-03-10T05:00:00.000Z");
+  assert.equal(newYork(10, 1), "2024-03-10T06:00:00.000Z");
+  assert.equal(newYork(10, 3), "2024-03-10T07:00:00.000Z");
+  assert.equal(newYork(11, 0), "2024-03-11T04:00:00.000Z");
+  // 02:00 was skipped: it becomes the time the clocks jumped to
+  assert.equal(newYork(10, 2), "2024-03-10T07:00:00.000Z");
+
+  // 01:00 happened twice on 2024-11-03 (EDT, then EST): the first one is used
+  assert.equal(
+    iso(
+      zonedTimeToUtc(
+        { year: 2024, month: 11, day: 3, hour: 1 },
+        "America/New_York"
+      )
+    ),
+    "2024-11-03T05:00:00.000Z"
+  );
+  // Same in London, where clocks went back from 02:00 BST to 01:00 GMT
+  assert.equal(
+    iso(
+      zonedTimeToUtc(
+        { year: 2024, month: 10, day: 27, hour: 1 },
+        "Europe/London"
+      )
+    ),
+    "2024-10-27T00:00:00.000Z"
+  );
+});
+
+test("days start at local midnight, or when a DST change skips it", () => {
+  assert.equal(
+    iso(startOfLocalDay(new Date("2024-01-15T20:00:00Z"), "Asia/Kolkata")),
+    "2024-01-15T18:30:00.000Z"
+  );
+  assert.equal(
+    iso(startOfLocalDay(new Date("2024-11-03T12:00:00Z"), "America/New_York")),
+    "2024-11-03T04:00:00.000Z"
+  );
+  // Santiago skipped from 00:00 to 01:00 on 2024-09-08
+  assert.equal(
+    iso(startOfLocalDay(new Date("2024-09-08T12:00:00Z"), "America/Santiago")),
+    "2024-09-08T04:00:00.000Z"
+  );
+});
+
+test("local dates are formatted in the time zone", () => {
+  const date = new Date("2024-01-15T20:00:00Z");
+  assert.equal(formatLocalDate(date, "UTC"), "2024-01-15");
+  assert.equal(formatLocalDate(date, "Asia/Kolkata"), "2024-01-16");
+  assert.equal(formatLocalDate(date, "America/New_York"), "2024-01-15");
+});
+
+test("date-only values are read as local midnight", () => {
+  assert.equal(
+    iso(parseDateInTimeZone("2024-01-15", "Asia/Kolkata")),
+    "2024-01-14T18:30:00.000Z"
+  );
+  assert.equal(
+    iso(parseDateInTimeZone("2024-07-15", "America/New_York")),
+    "2024-07-15T04:00:00.000Z"
+  );
+  assert.equal(
+    iso(parseDateInTimeZone("2024-01-15", "UTC")),
+    "2024-01-15T00:00:00.000Z"
+  );
+});
+
+test("date-times keep their own offset", () => {
+  assert.equal(
+    iso(parseDateInTimeZone("2024-01-15T10:30:00Z", "Asia/Kolkata")),
+    "2024-01-15T10:30:00.000Z"
+  );
+  assert.equal(
+    iso(parseDateInTimeZone("2024-01-15T10:30:00+02:00", "UTC")),
+    "2024-01-15T08:30:00.000Z"
+  );
+  assert.ok(isNaN(parseDateInTimeZone("not a date", "UTC")));
+});
@@ -0,0 +1,38 @@
+import { afterEach, mock, test } from "node:test";
+import assert from "node:assert/strict";
+import AlertEvent from "../src/models/AlertEvent.js";
+import AlertRule from "../src/models/AlertRule.js";
+import UsageLog from "../src/models/UsageLog.js";
+import { evaluateAlertRule } from "../src/utils/usageAlerts.js";
+import { PROJECT_ID, mockProject } from "./helpers.js";
+
+afterEach(() => mock.restoreAll());
+
+test("rules of deleted projects are disabled without an event", async () => {
+  const rule = {
+    _id: "64f1a2b3c4d5e6f7a8b9c0d3",
+    projectId: PROJECT_ID,
+    name: "No traffic",
+    type: "zero_volume",
+    windowMinutes: 5,
+    mode: "live",
+    state: "ok",
+    webhooks: [],
+    emails: [],
+  };
+  mockProject(null);
+  mock.method(UsageLog, "countDocuments", async () => 0);
+  const updateOne = mock.method(AlertRule, "updateOne", async () => ({}));
+  const findOneAndUpdate = mock.method(AlertRule, "findOneAndUpdate", () => {
+    throw new Error("state changed");
+  });
+  const create = mock.method(AlertEvent, "create", async () => {
+    throw new Error("event created");
+  });
+
+  assert.equal(await evaluateAlertRule(rule), null);
+  assert.equal(findOneAndUpdate.mock.callCount(), 0);
+  assert.equal(create.mock.callCount(), 0);
+  assert.equal(updateOne.mock.callCount(), 1);
+  assert.equal(updateOne.mock.calls[0].arguments[1].enabled, false);
+});
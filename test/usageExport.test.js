@@ -0,0 +1,95 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { Readable } from "stream";
+import { text } from "stream/consumers";
+import {
+  USAGE_EXPORT_FIELDS,
+  createUsageExportStream,
+} from "../src/utils/usageExport.js";
+
+const KEY_ID = "64f1a2b3c4d5e6f7a8b9c0d2";
+
+const log = (fields = {}, metadata = {}) => ({
+  timestamp: new Date("2024-01-15T10:30:00Z"),
+  method: "GET",
+  endpoint: "/api/data",
+  statusCode: 200,
+  responseTime: 42,
+  mode: "live",
+  apiKeyId: KEY_ID,
+  metadata: { ip: "203.0.113.7", userAgent: "curl/8.0", ...metadata },
+  ...fields,
+});
+
+const exportLogs = (logs, format, keyNames) =>
+  text(Readable.from(logs).pipe(createUsageExportStream(format, keyNames)));
+
+// The first data row of a CSV export
+const firstCsvRow = async (logs) => {
+  const [, row] = (await exportLogs(logs, "csv")).split("\r\n");
+  return row;
+};
+
+test("CSV exports have a header row even when empty", async () => {
+  const header = `${USAGE_EXPORT_FIELDS.join(",")}\r\n`;
+  assert.equal(await exportLogs([], "csv"), header);
+  assert.equal(await exportLogs([], "ndjson"), "");
+});
+
+test("CSV rows list the fields in order", async () => {
+  const csv = await exportLogs(
+    [log({}, { requestSize: 10 })],
+    "csv",
+    new Map([[KEY_ID, "Production"]])
+  );
+  assert.equal(
+    csv.split("\r\n")[1],
+    `2024-01-15T10:30:00.000Z,GET,/api/data,200,42,live,${KEY_ID},Production,203.0.113.7,curl/8.0,10,0,`
+  );
+});
+
+test("CSV cells with quotes, commas and newlines are quoted", async () => {
+  const row = await firstCsvRow([
+    log({}, { userAgent: 'Agent "X", v1', errorMessage: "line 1\nline 2" }),
+  ]);
+  assert.ok(row.includes(',"Agent ""X"", v1",'));
+  assert.ok(row.endsWith(',"line 1\nline 2"'));
+
+  const [, crRow] = (
+    await exportLogs([log({}, { errorMessage: "a\rb" })], "csv")
+  ).split(/\r\n/);
+  assert.ok(crRow.endsWith(',"a\rb"'));
+});
+
+test("CSV cells that could run as formulas are prefixed", async () => {
+  for (const userAgent of ["=1+1", "+1", "-1", "@SUM(A1)", "\tx"]) {
+    const row = await firstCsvRow([log({}, { userAgent })]);
+    assert.ok(row.includes(`,'${userAgent},`), userAgent);
+  }
+
+  const csv = await exportLogs([log({}, { userAgent: "\rx" })], "csv");
+  assert.ok(csv.includes(`,"'\rx",`));
+
+  // Quoted when the prefixed cell still needs it
+  const row = await firstCsvRow([log({}, { userAgent: '=HYPERLINK("x")' })]);
+  assert.ok(row.includes(`,"'=HYPERLINK(""x"")",`));
+});
+
+test("numbers aren't prefixed", async () => {
+  const row = await firstCsvRow([log({ responseTime: -1 })]);
+  assert.ok(row.includes(",200,-1,live,"));
+});
+
+test("NDJSON exports one JSON row per line", async () => {
+  const ndjson = await exportLogs(
+    [log({ mode: undefined }, { userAgent: "=1+1" }), log()],
+    "ndjson"
+  );
+  const lines = ndjson.trimEnd().split("\n").map(JSON.parse);
+  assert.equal(lines.length, 2);
+  assert.deepEqual(Object.keys(lines[0]), USAGE_EXPORT_FIELDS);
+  // Only CSV cells are escaped
+  assert.equal(lines[0].userAgent, "=1+1");
+  assert.equal(lines[0].mode, "live");
+  assert.equal(lines[0].apiKeyName, null);
+});
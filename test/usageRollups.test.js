@@ -0,0 +1,204 @@
+import { afterEach, mock, test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  DailyUsageRollup,
+  HourlyUsageRollup,
+} from "../src/models/UsageRollup.js";
+import {
+  applyUsageRollups,
+  getBucketStart,
+  summarizeRollups,
+} from "../src/utils/usageRollups.js";
+import { PROJECT_ID } from "./helpers.js";
+
+const log = (fields) => ({
+  projectId: PROJECT_ID,
+  apiKeyId: "64f1a2b3c4d5e6f7a8b9c0d2",
+  mode: "live",
+  endpoint: "/api/data",
+  method: "GET",
+  statusCode: 200,
+  responseTime: 40,
+  timestamp: new Date("2024-01-15T10:20:00Z"),
+  metadata: { requestSize: 100, responseSize: 1000 },
+  ...fields,
+});
+
+// Capture the bulkWrite operations of both rollup models
+const captureWrites = () => {
+  const writes = { hour: [], day: [] };
+  mock.method(HourlyUsageRollup, "bulkWrite", async (ops) => {
+    writes.hour.push(...ops.map((op) => op.updateOne));
+  });
+  mock.method(DailyUsageRollup, "bulkWrite", async (ops) => {
+    writes.day.push(...ops.map((op) => op.updateOne));
+  });
+  return writes;
+};
+
+afterEach(() => mock.restoreAll());
+
+test("buckets start at the UTC hour or day", () => {
+  const date = new Date("2024-01-15T10:20:30.456Z");
+  assert.equal(
+    getBucketStart(date, "hour").toISOString(),
+    "2024-01-15T10:00:00.000Z"
+  );
+  assert.equal(
+    getBucketStart(date, "day").toISOString(),
+    "2024-01-15T00:00:00.000Z"
+  );
+});
+
+test("logs are counted in one rollup per bucket, endpoint and status class", async () => {
+  const writes = captureWrites();
+
+  await applyUsageRollups([
+    log({ statusCode: 200, responseTime: 40 }),
+    log({ statusCode: 201, responseTime: 300 }),
+    log({ timestamp: new Date("2024-01-15T11:05:00Z"), responseTime: 10 }),
+    log({ statusCode: 404, responseTime: 20 }),
+  ]);
+
+  assert.equal(writes.hour.length, 3);
+  assert.equal(writes.day.length, 2);
+
+  const [first] = writes.hour;
+  assert.equal(first.filter.statusClass, "2xx");
+  assert.equal(
+    first.filter.bucketStart.toISOString(),
+    "2024-01-15T10:00:00.000Z"
+  );
+  assert.deepEqual(first.update, {
+    $inc: {
+      count: 2,
+      totalResponseTime: 340,
+      requestBytes: 200,
+      responseBytes: 2000,
+      "statusCodes.200": 1,
+      "statusCodes.201": 1,
+      "latencyHistogram.3": 1,
+      "latencyHistogram.8": 1,
+    },
+    $min: { minResponseTime: 40 },
+    $max: { maxResponseTime: 300 },
+  });
+  assert.equal(first.upsert, true);
+
+  // The day's 2xx calls from both hours share a daily rollup
+  const daily2xx = writes.day.find((op) => op.filter.statusClass === "2xx");
+  assert.equal(daily2xx.update.$inc.count, 3);
+  assert.equal(daily2xx.update.$min.minResponseTime, 10);
+});
+
+test("logs without a key or mode are rolled up as live without a key", async () => {
+  const writes = captureWrites();
+
+  await applyUsageRollups([log({ apiKeyId: undefined, mode: undefined })]);
+
+  assert.equal(writes.hour[0].filter.apiKeyId, null);
+  assert.equal(writes.hour[0].filter.mode, "live");
+});
+
+test("no rollups are written without logs", async () => {
+  const writes = captureWrites();
+  await applyUsageRollups([]);
+  assert.deepEqual(writes, { hour: [], day: [] });
+});
+
+test("rollups that raced with another insert are retried as updates", async () => {
+  let calls = 0;
+  const retried = [];
+  mock.method(DailyUsageRollup, "bulkWrite", async () => {});
+  mock.method(HourlyUsageRollup, "bulkWrite", async (ops) => {
+    if (calls++ === 0) {
+      const error = new Error("E11000 duplicate key error");
+      error.writeErrors = [{ index: 1, code: 11000 }];
+      throw error;
+    }
+    retried.push(...ops);
+  });
+
+  await applyUsageRollups([
+    log({ endpoint: "/api/a" }),
+    log({ endpoint: "/api/b" }),
+  ]);
+
+  assert.equal(retried.length, 1);
+  assert.equal(retried[0].updateOne.filter.endpoint, "/api/b");
+});
+
+test("other write errors are thrown", async () => {
+  mock.method(DailyUsageRollup, "bulkWrite", async () => {});
+  mock.method(HourlyUsageRollup, "bulkWrite", async () => {
+    const error = new Error("Validation failed");
+    error.writeErrors = [{ index: 0, code: 121 }];
+    throw error;
+  });
+
+  await assert.rejects(applyUsageRollups([log()]), /Validation failed/);
+});
+
+test("rollups are merged into summaries per group", () => {
+  const rollups = [
+    {
+      endpoint: "/api/a",
+      statusClass: "2xx",
+      count: 8,
+      totalResponseTime: 400,
+      minResponseTime: 20,
+      maxResponseTime: 90,
+      requestBytes: 800,
+      responseBytes: 8000,
+      statusCodes: { 200: 6, 201: 2 },
+      latencyHistogram: { 3: 6, 5: 2 },
+    },
+    {
+      endpoint: "/api/a",
+      statusClass: "5xx",
+      count: 2,
+      totalResponseTime: 1000,
+      minResponseTime: 400,
+      maxResponseTime: 600,
+      requestBytes: 200,
+      responseBytes: 100,
+      statusCodes: { 500: 2 },
+      latencyHistogram: { 11: 2 },
+    },
+    {
+      endpoint: "/api/b",
+      statusClass: "4xx",
+      count: 1,
+      totalResponseTime: 5,
+      minResponseTime: 5,
+      maxResponseTime: 5,
+      requestBytes: 0,
+      responseBytes: 50,
+      statusCodes: { 404: 1 },
+      latencyHistogram: { 0: 1 },
+    },
+  ];
+
+  const byEndpoint = summarizeRollups(rollups, (rollup) => rollup.endpoint);
+  const a = byEndpoint.get("/api/a");
+  assert.equal(a.calls, 10);
+  assert.equal(a.errors, 2);
+  assert.equal(a.avgResponseTime, 140);
+  assert.equal(a.minResponseTime, 20);
+  assert.equal(a.maxResponseTime, 600);
+  assert.equal(a.requestBytes, 1000);
+  assert.equal(a.responseBytes, 8100);
+  assert.deepEqual(a.statusCodes, { 200: 6, 201: 2, 500: 2 });
+  assert.equal(a.latency.p50, 46);
+  assert.equal(a.latency.p99, 600);
+
+  assert.equal(byEndpoint.get("/api/b").errors, 1);
+
+  const [all] = summarizeRollups(rollups).values();
+  assert.equal(all.calls, 11);
+  assert.equal(all.errors, 3);
+});
+
+test("no rollups give no summaries", () => {
+  assert.equal(summarizeRollups([]).size, 0);
+});
@@ -0,0 +1,80 @@
+import { afterEach, mock, test } from "node:test";
+import assert from "node:assert/strict";
+import express from "express";
+import Project from "../src/models/Project.js";
+import User from "../src/models/User.js";
+import usageRoutes from "../src/routes/usage.js";
+import { generateStreamToken, generateToken } from "../src/middleware/auth.js";
+import { closeUsageStreams } from "../src/utils/usageEvents.js";
+import { PROJECT_ID, serve } from "./helpers.js";
+
+const USER_ID = "64f1a2b3c4d5e6f7a8b9c0d4";
+const OTHER_PROJECT_ID = "64f1a2b3c4d5e6f7a8b9c0d5";
+
+afterEach(() => mock.restoreAll());
+
+test("the usage stream only accepts its project's stream token", async () => {
+  const user = { _id: USER_ID, isActive: true };
+  mock.method(User, "findById", () => ({ select: async () => user }));
+  mock.method(Project, "findOne", async () => ({ _id: PROJECT_ID }));
+
+  const app = express();
+  app.use("/usage", usageRoutes);
+  const { url, close } = await serve(app);
+  const controller = new AbortController();
+
+  try {
+    const openStream = (token) =>
+      fetch(`${url}/usage/stream/${PROJECT_ID}?token=${token}`, {
+        signal: controller.signal,
+      });
+
+    // Regular JWTs can't be put in the URL
+    let response = await openStream(generateToken(USER_ID));
+    assert.equal(response.status, 401);
+
+    response = await openStream(generateStreamToken(USER_ID, OTHER_PROJECT_ID));
+    assert.equal(response.status, 401);
+
+    // Stream tokens don't work as regular JWTs
+    response = await fetch(`${url}/usage/stats/${PROJECT_ID}`, {
+      headers: {
+        Authorization: `Bearer ${generateStreamToken(USER_ID, PROJECT_ID)}`,
+      },
+    });
+    assert.equal(response.status, 401);
+
+    response = await openStream(generateStreamToken(USER_ID, PROJECT_ID));
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get("content-type"), /text\/event-stream/);
+  } finally {
+    controller.abort();
+    await close();
+  }
+});
+
+test("open usage streams are ended on shutdown", async () => {
+  const user = { _id: USER_ID, isActive: true };
+  mock.method(User, "findById", () => ({ select: async () => user }));
+  mock.method(Project, "findOne", async () => ({ _id: PROJECT_ID }));
+
+  const app = express();
+  app.use("/usage", usageRoutes);
+  const { url, close } = await serve(app);
+
+  try {
+    const response = await fetch(
+      `${url}/usage/stream/${PROJECT_ID}?token=${generateStreamToken(
+        USER_ID,
+        PROJECT_ID
+      )}`
+    );
+    assert.equal(response.status, 200);
+
+    closeUsageStreams();
+    // The body only finishes once the server ends the response
+    assert.match(await response.text(), /^: connected/);
+  } finally {
+    await close();
+  }
+});